@@ -3,31 +3,42 @@
  * Handles state management, notifications, and alarms
  */
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  focusModeEnabled: true,
-  allowedKeywords: [
-    'tutorial', 'course', 'lecture', 'coding', 'programming',
-    'java', 'python', 'javascript', 'react', 'node',
-    'dsa', 'data structures', 'algorithms', 'system design',
-    'ai', 'machine learning', 'deep learning', 'ml',
-    'web development', 'app development', 'frontend', 'backend',
-    'computer science', 'engineering', 'mathematics', 'calculus',
-    'interview', 'career', 'placement', 'leetcode', 'competitive programming'
-  ],
-  blockedKeywords: [
-    'prank', 'vlog', 'roast', 'shorts', 'gaming', 'gameplay',
-    'reaction', 'comedy', 'movie', 'music video', 'trailer',
-    'tiktok', 'funny', 'meme', 'challenge', 'unboxing',
-    'asmr', 'mukbang', 'drama', 'gossip', 'celebrity'
-  ],
-  stats: {
-    educationalMinutes: 0,
-    blockedCount: 0,
-    focusStreak: 0,
-    lastActiveDate: null
-  }
-};
+importScripts(
+  '/shared/keyword-matcher.js',
+  '/shared/text-classifier.js',
+  '/shared/channel-rules.js',
+  '/shared/metadata-rules.js',
+  '/shared/profiles.js',
+  '/shared/schedule.js',
+  '/shared/subscriptions.js',
+  '/shared/settings.js',
+  '/shared/activity.js',
+  '/background/pomodoro.js',
+  '/background/strict-session.js',
+  '/background/classifier-model.js',
+  '/background/subscriptions.js'
+);
+
+// Event types content scripts may record directly
+const RECORDABLE_EVENTS = [
+  ACTIVITY_EVENTS.SESSION_STARTED,
+  ACTIVITY_EVENTS.VIDEO_WATCHED,
+  ACTIVITY_EVENTS.VIDEO_BLOCKED,
+  ACTIVITY_EVENTS.SEARCH_BLOCKED
+];
+
+// Most recently watched videos listed on the dashboard
+const MAX_HISTORY_VIDEOS = 50;
+
+// Fires when the scheduled filter level or profile next changes
+const SCHEDULE_ALARM = 'focusSchedule';
+
+// Context menu entries on the toolbar icon: one radio item per profile
+const PROFILE_MENU_ID = 'profiles';
+const PROFILE_MENU_PREFIX = 'profile:';
+
+// Serializes writes to the activity log so concurrent messages can't clobber each other
+let activityWriteQueue = Promise.resolve();
 
 /**
  * Initialize extension on install
@@ -37,7 +48,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   
   if (details.reason === 'install') {
     // Set default settings on fresh install
-    await chrome.storage.sync.set({ focusSettings: DEFAULT_SETTINGS });
+    await writeSettings(getDefaultSettings());
     console.log('[Focus Mode] Default settings initialized');
     
     // Show welcome notification
@@ -45,9 +56,71 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       'YouTube Focus Mode Activated! 🎯',
       'Your distraction-free learning experience has begun. Stay focused!'
     );
+  } else if (details.reason === 'update') {
+    await runSettingsMigrations();
+    await pruneActivity().catch(error => {
+      console.error('[Focus Mode] Error pruning activity:', error);
+    });
   }
+  
+  // Also builds the profile context menu
+  await refreshFilterLevel(await getSettings(), true);
+  
+  await scheduleSubscriptionRefresh();
+  await updateSubscribedLists(await getSettings());
 });
 
+/**
+ * Upgrade stored settings to the current schema after an extension update
+ */
+async function runSettingsMigrations() {
+  try {
+    const items = await chrome.storage.sync.get(null);
+    const stored = unpackSettings(items);
+    if (!stored) return;
+    
+    // Settings saved before each profile had its own sync key
+    const unsplit = (stored.profiles || []).length > 0 &&
+      items.focusSettings.profiles.some(profile => typeof profile !== 'string');
+    
+    const fromVersion = stored.schemaVersion || 0;
+    await importLegacyStats(stored.stats);
+    
+    let settings = migrateSettings(stored);
+    const { valid, errors } = validateSettings(settings);
+    
+    if (!valid) {
+      console.warn('[Focus Mode] Migrated settings failed validation:', errors);
+      settings = repairSettings(settings, errors);
+    }
+    
+    if (fromVersion !== settings.schemaVersion || !valid || unsplit) {
+      const quotaErrors = await writeSettings(settings);
+      if (quotaErrors.length > 0) {
+        console.warn('[Focus Mode] Migrated settings do not fit in sync storage:', quotaErrors);
+        return;
+      }
+      console.log(`[Focus Mode] Settings migrated from schema ${fromVersion} to ${settings.schemaVersion}`);
+    }
+  } catch (error) {
+    console.error('[Focus Mode] Error migrating settings:', error);
+  }
+}
+
+/**
+ * Carry today's counters from pre-log settings over into the activity log,
+ * before the migration drops them from settings
+ */
+async function importLegacyStats(stats) {
+  if (!stats || stats.lastActiveDate !== new Date().toDateString()) return;
+  
+  await recordEvents([{
+    type: ACTIVITY_EVENTS.STATS_IMPORTED,
+    educationalMinutes: stats.educationalMinutes || 0,
+    blockedCount: stats.blockedCount || 0
+  }]);
+}
+
 /**
  * Handle messages from popup and content scripts
  */
@@ -55,38 +128,158 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('[Focus Mode] Message received:', message.type);
   
   switch (message.type) {
-    case 'TIMER_COMPLETE':
-      handleTimerComplete();
-      break;
+    case 'GET_TIMER_STATE':
+      getTimerView().then(sendResponse);
+      return true;
+      
+    case 'TIMER_START':
+      startTimer().then(sendResponse);
+      return true;
+      
+    case 'TIMER_PAUSE':
+      pauseTimer().then(sendResponse);
+      return true;
+      
+    case 'TIMER_RESET':
+      runUnlessStrict('Reset the focus timer', 'popup', resetTimer).then(sendResponse);
+      return true;
+      
+    case 'TIMER_SKIP':
+      runUnlessStrict('Skip the focus session', 'popup', skipPhase).then(sendResponse);
+      return true;
+      
+    case 'GET_STRICT_STATE':
+      getStrictState().then(sendResponse);
+      return true;
+      
+    case 'REQUEST_STRICT_UNLOCK':
+      requestStrictUnlock(message.passphrase).then(sendResponse);
+      return true;
       
     case 'BLOCKED_CONTENT_ACCESSED':
-      handleBlockedAccess(message.data);
-      break;
+      handleBlockedAccess(message.data).then(sendResponse);
+      return true;
+      
+    case 'BLOCKED_CONTENT_OVERRIDDEN':
+      handleBlockedOverride(message.data).then(sendResponse);
+      return true;
+      
+    case 'GET_WATCH_BYPASS':
+      isWatchBypassActive().then(active => sendResponse({ active }));
+      return true;
+      
+    case 'REVEAL_BLOCKED_CARD':
+      runUnlessStrict(`Reveal the blocked video "${message.title}"`, 'content', async () => ({ success: true }))
+        .then(sendResponse);
+      return true;
       
     case 'GET_SETTINGS':
-      getSettings().then(sendResponse);
+      getEffectiveSettings().then(sendResponse);
       return true; // Will respond async
       
-    case 'UPDATE_STATS':
-      updateStats(message.stats).then(sendResponse);
+    case 'GET_FILTER_STATUS':
+      getCurrentFilterStatus().then(sendResponse);
+      return true;
+      
+    case 'UPDATE_SETTINGS':
+      updateSettings(message.updates, message.source || 'popup').then(sendResponse);
+      return true;
+      
+    case 'RECORD_EVENTS':
+      recordEvents((message.events || []).filter(e => RECORDABLE_EVENTS.includes(e.type)))
+        .then(sendResponse);
+      return true;
+      
+    case 'GET_STATS':
+      getStats().then(sendResponse);
+      return true;
+      
+    case 'GET_HISTORY':
+      getHistory().then(sendResponse);
+      return true;
+      
+    case 'RESET_STATS':
+      recordEvents([{ type: ACTIVITY_EVENTS.STATS_RESET }]).then(sendResponse);
+      return true;
+      
+    case 'ADD_CHANNEL_RULE':
+      handleAddChannelRule(message.list, message.rule).then(sendResponse);
+      return true;
+      
+    case 'REFRESH_SUBSCRIPTIONS':
+      getSettings()
+        .then(settings => updateSubscribedLists(settings, true))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
+    case 'REPORT_SELECTOR_HEALTH':
+      saveSelectorHealth(sender.tab, message.report).then(sendResponse);
+      return true;
+      
+    case 'GET_SELECTOR_HEALTH':
+      getSelectorHealth(message.tabId).then(sendResponse);
+      return true;
+      
+    case 'CLASSIFIER_FEEDBACK':
+      recordClassifierFeedback(message.text, message.label).then(sendResponse);
+      return true;
+      
+    case 'GET_CLASSIFIER_MODEL':
+      getClassifierModelSummary().then(sendResponse);
+      return true;
+      
+    case 'RESET_CLASSIFIER_MODEL':
+      resetClassifierModel().then(sendResponse);
       return true;
   }
 });
 
 /**
- * Handle Pomodoro timer completion
+ * storage.session key of a tab's selector health report
  */
-function handleTimerComplete() {
-  showNotification(
-    'Pomodoro Complete! 🍅',
-    'Great focus session! Take a 5-minute break, then get back to learning.'
-  );
+function getSelectorHealthKey(tabId) {
+  return `selectorHealth:${tabId}`;
+}
+
+/**
+ * Keep the latest selector health report of a tab. One key per tab, so
+ * reports from different tabs can't overwrite each other; storage.session
+ * clears them when the browser closes.
+ */
+async function saveSelectorHealth(tab, report) {
+  if (!tab || !report) return { success: false };
   
-  // Play sound if supported
-  // Note: Service workers can't directly play audio, 
-  // but we can trigger it in the popup/content script
+  try {
+    await chrome.storage.session.set({ [getSelectorHealthKey(tab.id)]: report });
+    return { success: true };
+  } catch (error) {
+    console.error('[Focus Mode] Error saving selector health:', error);
+    return { success: false };
+  }
+}
+
+/**
+ * The latest selector health report of a tab, or null
+ */
+async function getSelectorHealth(tabId) {
+  try {
+    const key = getSelectorHealthKey(tabId);
+    const result = await chrome.storage.session.get([key]);
+    return result[key] || null;
+  } catch (error) {
+    console.error('[Focus Mode] Error loading selector health:', error);
+    return null;
+  }
 }
 
+/**
+ * Forget a closed tab's selector health
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(getSelectorHealthKey(tabId)).catch(() => {});
+});
+
 /**
  * Handle blocked content access attempt
  */
@@ -95,6 +288,70 @@ function handleBlockedAccess(data) {
     'Stay Focused! 🎯',
     `"${data.title}" appears to be non-educational content. Remember your goals!`
   );
+  
+  return recordEvents([{
+    type: ACTIVITY_EVENTS.VIDEO_BLOCKED,
+    source: 'watch',
+    videoId: data.videoId,
+    title: data.title,
+    channel: data.channel ? (data.channel.handle || data.channel.id) : null,
+    channelName: data.channel ? data.channel.name : null,
+    terms: (data.matches || []).filter(hit => hit.list === 'blocked').map(hit => hit.term),
+    decidedBy: data.decidedBy || null
+  }]);
+}
+
+/**
+ * Record a user choosing to watch a blocked video anyway.
+ * "timed" overrides lift watch page enforcement for N minutes in every tab.
+ * Every override is refused during a strict session.
+ */
+async function handleBlockedOverride(data) {
+  try {
+    if (data.kind === 'timed') {
+      const minutes = getWatchBypassMinutes(data.minutes);
+      if (minutes === null) {
+        return { success: false, error: 'Enter a number of minutes' };
+      }
+      
+      return await runUnlessStrict(`Allow all videos for ${minutes} minutes`, 'content', async () => {
+        await chrome.storage.local.set({
+          watchBypassUntil: Date.now() + minutes * 60 * 1000
+        });
+        return recordEvents([{ ...data, minutes, type: ACTIVITY_EVENTS.BLOCKED_OVERRIDE }]);
+      });
+    }
+    
+    if (data.kind === 'search') {
+      return await runUnlessStrict(`Search anyway for "${data.query}"`, 'content', () =>
+        recordEvents([{ ...data, type: ACTIVITY_EVENTS.BLOCKED_OVERRIDE }])
+      );
+    }
+    
+    return await runUnlessStrict(`Allow "${data.title}" once`, 'content', () =>
+      recordEvents([{ ...data, type: ACTIVITY_EVENTS.BLOCKED_OVERRIDE }])
+    );
+  } catch (error) {
+    console.error('[Focus Mode] Error recording override:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Whether an "Allow for N minutes" bypass is still running. One set before
+ * a strict session started doesn't count until the session ends.
+ */
+async function isWatchBypassActive() {
+  try {
+    const [strict, result] = await Promise.all([
+      getStrictState(),
+      chrome.storage.local.get(['watchBypassUntil'])
+    ]);
+    return !strict.active && (result.watchBypassUntil || 0) > Date.now();
+  } catch (error) {
+    console.error('[Focus Mode] Error reading watch bypass:', error);
+    return false;
+  }
 }
 
 /**
@@ -102,30 +359,357 @@ function handleBlockedAccess(data) {
  */
 async function getSettings() {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    return result.focusSettings || DEFAULT_SETTINGS;
+    return normalizeSettings(unpackSettings(await chrome.storage.sync.get(null)));
   } catch (error) {
     console.error('[Focus Mode] Error getting settings:', error);
-    return DEFAULT_SETTINGS;
+    return getDefaultSettings();
+  }
+}
+
+/**
+ * Write settings to sync storage, one item per profile, and drop the items
+ * of deleted profiles. When sync storage would refuse them nothing is
+ * written and the reasons are returned instead.
+ */
+async function writeSettings(settings) {
+  const items = packSettings(settings);
+  const quotaErrors = getSyncQuotaErrors(items);
+  if (quotaErrors.length > 0) return quotaErrors;
+  
+  const stored = await chrome.storage.sync.get(null);
+  await chrome.storage.sync.set(items);
+  
+  const removed = Object.keys(stored).filter(key => key.startsWith(PROFILE_KEY_PREFIX) && !(key in items));
+  if (removed.length > 0) {
+    await chrome.storage.sync.remove(removed);
   }
+  return [];
 }
 
 /**
- * Update stats in storage
+ * Apply a partial settings update from any context.
+ * All settings writes go through here so strict sessions can refuse the
+ * ones that would loosen the filters.
  */
-async function updateStats(newStats) {
+async function updateSettings(updates, source) {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const settings = result.focusSettings || DEFAULT_SETTINGS;
-    settings.stats = { ...settings.stats, ...newStats };
-    await chrome.storage.sync.set({ focusSettings: settings });
-    return { success: true };
+    const current = await getSettings();
+    const next = { ...current, ...updates };
+    
+    const strict = await getStrictState();
+    if (strict.active) {
+      // Strict sessions keep the profile picked by hand, so compare those,
+      // subscribed lists included: adding or dropping one can loosen the
+      // filters too
+      const upcoming = await getUpcomingSubscriptionLists(current, next);
+      const violations = [
+        ...upcoming.failed.map(url => `Subscribe to the list ${url}, which couldn't be checked`),
+        ...getStrictViolations(
+          applySubscriptionLists(getProfileSettings(current), await getSubscriptionLists(current)),
+          applySubscriptionLists(getProfileSettings(next), upcoming.lists)
+        )
+      ];
+      if (violations.length > 0) {
+        await logStrictRefusal(violations, source);
+        return createStrictRefusal(violations);
+      }
+    }
+    
+    const quotaErrors = await writeSettings(next);
+    if (quotaErrors.length > 0) {
+      return { success: false, quotaErrors, error: quotaErrors.join('. ') };
+    }
+    await refreshFilterLevel(next, true);
+    
+    // New or changed subscriptions are fetched in the background; the
+    // filters update again once they arrive
+    if (JSON.stringify(current.subscriptions) !== JSON.stringify(next.subscriptions)) {
+      updateSubscribedLists(next);
+    }
+    
+    return { success: true, settings: next };
   } catch (error) {
-    console.error('[Focus Mode] Error updating stats:', error);
+    console.error('[Focus Mode] Error updating settings:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Append events to their days' lists in storage.local, so a write only
+ * touches the days it adds to (normally just today).
+ * Writes are queued so each one sees the previous one's result.
+ */
+function recordEvents(events) {
+  if (events.length === 0) {
+    return Promise.resolve({ success: true });
+  }
+  
+  const now = Date.now();
+  const stamped = events.map(event => ({ ...event, timestamp: event.timestamp || now }));
+  
+  const write = activityWriteQueue.then(async () => {
+    // Watched time carries the goal it counts towards, so the streak keeps
+    // judging each day by its own goal after the goal changes
+    const watched = stamped.some(event => event.type === ACTIVITY_EVENTS.VIDEO_WATCHED);
+    const { dailyGoalMinutes } = watched ? await getSettings() : {};
+    const added = groupActivityByKey(stamped.map(event => (
+      event.type === ACTIVITY_EVENTS.VIDEO_WATCHED ? { ...event, goalMinutes: dailyGoalMinutes } : event
+    )));
+    const result = await chrome.storage.local.get(Object.keys(added));
+    const updates = {};
+    Object.entries(added).forEach(([key, dayEvents]) => {
+      updates[key] = (result[key] || []).concat(dayEvents);
+    });
+    await chrome.storage.local.set(updates);
+    
+    if (watched) {
+      const todayKey = getActivityKey(getDayKey(now));
+      const minutesAfter = getTodaySummary(updates[todayKey] || []).educationalMinutes;
+      const minutesAdded = getTodaySummary(added[todayKey] || []).educationalMinutes;
+      notifyGoalMilestones(Math.max(0, minutesAfter - minutesAdded), minutesAfter, dailyGoalMinutes);
+    }
+    return { success: true };
+  });
+  
+  // Keep the queue alive even if this write fails
+  activityWriteQueue = write.catch(error => {
+    console.error('[Focus Mode] Error recording activity:', error);
+  });
+  
+  return write.catch(error => ({ success: false, error: error.message }));
+}
+
+/**
+ * Notify when today's educational time passes half of the daily goal, and
+ * again when it reaches the goal. Each milestone is passed once a day
+ * (unless the daily stats are reset).
+ */
+function notifyGoalMilestones(minutesBefore, minutesAfter, dailyGoalMinutes) {
+  getCrossedGoalMilestones(minutesBefore, minutesAfter, dailyGoalMinutes).forEach(percent => {
+    if (percent < 100) {
+      showNotification(
+        'Halfway There 🎯',
+        `${Math.round(minutesAfter)} of ${dailyGoalMinutes} educational minutes today. Keep going!`
+      );
+    } else {
+      showNotification(
+        'Daily Goal Reached! 🎉',
+        `${dailyGoalMinutes} educational minutes today. That counts towards your streak.`
+      );
+    }
+  });
+}
+
+/**
+ * Raw events of the days inside the retention window, plus the rolled-up
+ * history of older days
+ */
+async function getRecentActivity() {
+  const keys = getRecentActivityKeys();
+  const result = await chrome.storage.local.get([...keys, 'activityHistory']);
+  return {
+    events: keys.flatMap(key => result[key] || []),
+    history: result.activityHistory || {}
+  };
+}
+
+/**
+ * Full daily history: rolled-up days plus days still kept as raw events.
+ * Returns a list of [dayKey, summary] pairs, oldest first.
+ */
+async function getHistory() {
+  try {
+    const { events, history: rolledUp } = await getRecentActivity();
+    const history = rollUpActivity(rolledUp, events);
+    return {
+      days: Object.entries(history).sort(([a], [b]) => a.localeCompare(b)),
+      videos: summarizeVideos(events).slice(0, MAX_HISTORY_VIDEOS),
+      stats: await getStats()
+    };
+  } catch (error) {
+    console.error('[Focus Mode] Error getting history:', error);
+    return { days: [], videos: [], stats: null };
+  }
+}
+
+/**
+ * Daily counters, goal progress and streak, derived from the activity log.
+ * The one place the streak is computed: the popup, homepage dashboard,
+ * history dashboard and streak notifications all ask for it here.
+ */
+async function getStats() {
+  try {
+    const settings = await getSettings();
+    const { events, history } = await getRecentActivity();
+    return getActivityStats(events, {
+      goalMinutes: settings.dailyGoalMinutes,
+      history
+    });
+  } catch (error) {
+    console.error('[Focus Mode] Error getting stats:', error);
+    return {
+      educationalMinutes: 0,
+      blockedCount: 0,
+      dailyGoalMinutes: DEFAULT_SETTINGS.dailyGoalMinutes,
+      goalProgress: 0,
+      focusStreak: 0
+    };
+  }
+}
+
+/**
+ * Add a channel to the allowlist or blocklist (e.g. "trust this channel")
+ * of the profile currently in effect
+ */
+async function handleAddChannelRule(list, rule) {
+  if (!['allowed', 'blocked'].includes(list) || !rule || !parseChannelRef(rule.value)) {
+    return { success: false, error: 'Invalid channel rule' };
+  }
+  
+  const settings = await getSettings();
+  const { profileId } = await getCurrentFilterStatus(settings);
+  const profiles = settings.profiles.map(profile => {
+    if (profile.id !== profileId) return profile;
+    return { ...profile, channelRules: addChannelRule(profile.channelRules, list, rule) };
+  });
+  
+  const result = await updateSettings({ profiles }, 'content');
+  if (!result.success) return result;
+  
+  // The rules as content scripts see them, subscribed lists included
+  const effective = await getEffectiveSettings();
+  return { success: true, channelRules: effective.channelRules };
+}
+
+/**
+ * Push updated settings to every open YouTube tab
+ */
+function broadcastSettings(settings) {
+  chrome.tabs.query({ url: '*://www.youtube.com/*' }, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'SETTINGS_UPDATED',
+        settings
+      }).catch(() => {});
+    });
+  });
+}
+
+/**
+ * Filter level in effect right now, and when it next changes
+ */
+async function getCurrentFilterStatus(settings) {
+  const strict = await getStrictState();
+  return getFilterStatus(settings || await getSettings(), new Date(), strict.active);
+}
+
+/**
+ * Settings with the current filter level and profile applied, as content
+ * scripts see them
+ */
+async function getEffectiveSettings() {
+  const settings = await getSettings();
+  return buildEffectiveSettings(settings, await getCurrentFilterStatus(settings));
+}
+
+/**
+ * Flatten `settings` for a filter status and merge in the subscribed lists
+ */
+async function buildEffectiveSettings(settings, status) {
+  return applySubscriptionLists(applyFilterStatus(settings, status), await getSubscriptionLists(settings));
+}
+
+/**
+ * Refresh subscribed lists (every one with `force`, otherwise those due)
+ * and push the filters to YouTube tabs if any list changed
+ */
+async function updateSubscribedLists(settings, force = false) {
+  if (await refreshSubscriptions(settings, force)) {
+    await refreshFilterLevel(await getSettings(), true);
+  }
+}
+
+/**
+ * Re-evaluate the filter level and profile, push them to YouTube tabs if
+ * they (or the settings) changed, and wake up again at the next scheduled
+ * change
+ */
+async function refreshFilterLevel(settings, settingsChanged = false) {
+  try {
+    const strict = await getStrictState();
+    const status = getFilterStatus(settings, new Date(), strict.active);
+    
+    // A pending emergency unlock also ends the strict session's override
+    const wakeTimes = [status.nextChange && status.nextChange.at, strict.active && strict.unlockAt]
+      .filter(Boolean);
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+    if (wakeTimes.length > 0) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: Math.min(...wakeTimes) });
+    }
+    
+    const result = await chrome.storage.local.get(['activeFilter']);
+    const previous = result.activeFilter || {};
+    const filterChanged = previous.level !== status.level || previous.profileId !== status.profileId;
+    if (filterChanged) {
+      await chrome.storage.local.set({ activeFilter: { level: status.level, profileId: status.profileId } });
+      console.log(`[Focus Mode] Filter is now ${status.level}, profile ${status.profileId} (${status.source})`);
+    }
+    
+    if (filterChanged || settingsChanged) {
+      broadcastSettings(await buildEffectiveSettings(settings, status));
+    }
+    if (settingsChanged) {
+      updateProfileMenu(settings);
+    }
+  } catch (error) {
+    console.error('[Focus Mode] Error refreshing filter level:', error);
+  }
+}
+
+/**
+ * Rebuild the toolbar icon's context menu: a radio item per profile, with
+ * the one picked by hand checked
+ */
+function updateProfileMenu(settings) {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: PROFILE_MENU_ID,
+      title: 'Filter profile',
+      contexts: ['action']
+    });
+    
+    settings.profiles.forEach(profile => {
+      chrome.contextMenus.create({
+        id: PROFILE_MENU_PREFIX + profile.id,
+        parentId: PROFILE_MENU_ID,
+        title: profile.name,
+        type: 'radio',
+        checked: profile.id === settings.activeProfileId,
+        contexts: ['action']
+      });
+    });
+  });
+}
+
+/**
+ * Switch profiles from the context menu
+ */
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  if (!String(info.menuItemId).startsWith(PROFILE_MENU_PREFIX)) return;
+  
+  const profileId = info.menuItemId.slice(PROFILE_MENU_PREFIX.length);
+  const result = await updateSettings({ activeProfileId: profileId }, 'contextMenu');
+  
+  if (result.refused) {
+    showNotification(
+      'Strict Session 🔒',
+      'This profile filters less than the current one. Switch after the focus session.'
+    );
+    // Put the radio check back on the profile still in use
+    updateProfileMenu(await getSettings());
+  }
+});
+
 /**
  * Show browser notification
  */
@@ -140,7 +724,7 @@ function showNotification(title, message) {
 }
 
 /**
- * Set up daily reset alarm
+ * Set up daily maintenance alarm
  */
 chrome.alarms.create('dailyReset', {
   when: getNextMidnight(),
@@ -152,9 +736,42 @@ chrome.alarms.create('dailyReset', {
  */
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'dailyReset') {
-    console.log('[Focus Mode] Daily reset triggered');
-    await resetDailyStats();
+    console.log('[Focus Mode] Daily maintenance triggered');
+    await runDailyMaintenance();
+    return;
+  }
+  
+  if (alarm.name === SCHEDULE_ALARM) {
+    await refreshFilterLevel(await getSettings());
+    return;
   }
+  
+  if (alarm.name === SUBSCRIPTION_ALARM) {
+    await updateSubscribedLists(await getSettings(), true);
+    return;
+  }
+  
+  await handleTimerAlarm(alarm);
+});
+
+/**
+ * Focus sessions starting, ending or being unlocked can change the filter level
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'local' && (changes.pomodoroState || changes.strictUnlock)) {
+    await refreshFilterLevel(await getSettings());
+  }
+});
+
+/**
+ * Restore the timer badge and filter level after a browser restart, and
+ * catch up on list checks missed while the browser was closed
+ */
+chrome.runtime.onStartup.addListener(async () => {
+  await updateTimerBadge(await getTimerState());
+  await refreshFilterLevel(await getSettings());
+  await scheduleSubscriptionRefresh();
+  await updateSubscribedLists(await getSettings());
 });
 
 /**
@@ -169,61 +786,76 @@ function getNextMidnight() {
 }
 
 /**
- * Reset daily stats
+ * Roll days past the retention window up into daily history, removing
+ * their raw events. Queued behind pending activity writes.
  */
-async function resetDailyStats() {
-  try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const settings = result.focusSettings || DEFAULT_SETTINGS;
-    
-    const today = new Date().toDateString();
-    const lastActive = settings.stats.lastActiveDate;
-    
-    // Update streak
-    if (lastActive) {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      if (lastActive === yesterday.toDateString()) {
-        settings.stats.focusStreak += 1;
-      } else if (lastActive !== today) {
-        settings.stats.focusStreak = 0;
-      }
+function pruneActivity() {
+  const prune = activityWriteQueue.then(async () => {
+    const stored = await chrome.storage.local.get(null);
+    const updates = {};
+    
+    // Before per-day keys, all events lived in one `activityLog` list
+    if (Array.isArray(stored.activityLog)) {
+      Object.entries(groupActivityByKey(stored.activityLog)).forEach(([key, dayEvents]) => {
+        stored[key] = updates[key] = dayEvents.concat(stored[key] || []);
+      });
     }
     
-    // Reset daily counters
-    settings.stats.educationalMinutes = 0;
-    settings.stats.blockedCount = 0;
-    settings.stats.lastActiveDate = today;
+    const expiredKeys = getExpiredActivityKeys(Object.keys(stored));
+    if (expiredKeys.length > 0) {
+      const expired = expiredKeys.flatMap(key => stored[key]);
+      updates.activityHistory = rollUpActivity(stored.activityHistory || {}, expired);
+      expiredKeys.forEach(key => delete updates[key]);
+    }
     
-    await chrome.storage.sync.set({ focusSettings: settings });
+    const removed = Array.isArray(stored.activityLog) ? expiredKeys.concat('activityLog') : expiredKeys;
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed);
+    }
+  });
+  activityWriteQueue = prune.catch(() => {});
+  return prune;
+}
+
+/**
+ * Roll old activity up into daily history and celebrate streak milestones.
+ * Daily counters need no reset: a new day simply has no events yet.
+ */
+async function runDailyMaintenance() {
+  try {
+    await pruneActivity();
+    
+    // Yesterday's streak: today has barely started
+    const { focusStreak } = await getStats();
     
     // Notify if streak is significant
-    if (settings.stats.focusStreak > 0 && settings.stats.focusStreak % 7 === 0) {
+    if (focusStreak > 0 && focusStreak % 7 === 0) {
       showNotification(
-        `${settings.stats.focusStreak} Day Streak! 🔥`,
+        `${focusStreak} Day Streak! 🔥`,
         'Amazing dedication to learning. Keep up the great work!'
       );
     }
   } catch (error) {
-    console.error('[Focus Mode] Error resetting daily stats:', error);
+    console.error('[Focus Mode] Error running daily maintenance:', error);
   }
 }
 
 /**
  * Handle extension icon click (if no popup)
  */
-chrome.action.onClicked.addListener(async (tab) => {
-  // Toggle focus mode if clicked directly
+chrome.action.onClicked.addListener(async () => {
+  // Toggle focus mode if clicked directly; updateSettings notifies the tabs
   const settings = await getSettings();
-  settings.focusModeEnabled = !settings.focusModeEnabled;
-  await chrome.storage.sync.set({ focusSettings: settings });
-  
-  // Notify content script
-  if (tab.url.includes('youtube.com')) {
-    chrome.tabs.sendMessage(tab.id, {
-      type: 'SETTINGS_UPDATED',
-      settings
-    });
+  const result = await updateSettings({ focusModeEnabled: !settings.focusModeEnabled }, 'action');
+  
+  if (result.refused) {
+    showNotification(
+      'Strict Session 🔒',
+      'Focus mode stays on until this focus session ends.'
+    );
   }
 });
 
@@ -0,0 +1,75 @@
+/**
+ * YouTube Focus Mode - On-device Model (background)
+ * Trains the naive Bayes model in shared/text-classifier.js from the
+ * user's "educational / not educational" feedback and keeps it in
+ * storage.local, where content scripts pick up each new version. Teaching
+ * the model that something is educational can loosen the filters, so a
+ * strict session refuses it. Loaded by background.js via importScripts,
+ * after strict-session.js.
+ */
+
+// Serializes model writes so two answers in a row can't clobber each other
+let classifierModelQueue = Promise.resolve();
+
+/**
+ * The stored model, or an empty one
+ */
+async function getClassifierModel() {
+  const result = await chrome.storage.local.get(['classifierModel']);
+  return isValidModel(result.classifierModel) ? result.classifierModel : createEmptyModel();
+}
+
+/**
+ * Apply `update` (model → model) to the stored model, queued behind any
+ * other write. Resolves to { success, summary } or { success: false, error }.
+ */
+function updateClassifierModel(update) {
+  const write = classifierModelQueue.then(async () => {
+    const classifierModel = update(await getClassifierModel());
+    await chrome.storage.local.set({ classifierModel });
+    return { success: true, summary: getModelSummary(classifierModel) };
+  });
+  
+  // Keep the queue alive even if this write fails
+  classifierModelQueue = write.catch(error => {
+    console.error('[Focus Mode] Error saving classifier model:', error);
+  });
+  
+  return write.catch(error => ({ success: false, error: error.message }));
+}
+
+/**
+ * Learn one answer: `text` is 'educational', or not ('blocked')
+ */
+function recordClassifierFeedback(text, label) {
+  if (!MODEL_LABELS.includes(label) || tokenizeText(text || '').length === 0) {
+    return Promise.resolve({ success: false, error: 'Nothing to learn from' });
+  }
+  
+  const learn = () => updateClassifierModel(model => trainModel(model, text, label));
+  return label === 'educational'
+    ? runUnlessStrict('Teach the model that a video is educational', 'content', learn)
+    : learn();
+}
+
+/**
+ * Forget all feedback. The keyword lists decide until the model has
+ * learned enough again, which can loosen the filters.
+ */
+function resetClassifierModel() {
+  return runUnlessStrict('Reset the on-device model', 'popup', () => {
+    return updateClassifierModel(() => createEmptyModel());
+  });
+}
+
+/**
+ * What the model has learned, for the popup
+ */
+async function getClassifierModelSummary() {
+  try {
+    return getModelSummary(await getClassifierModel());
+  } catch (error) {
+    console.error('[Focus Mode] Error loading classifier model:', error);
+    return getModelSummary(null);
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * YouTube Focus Mode - Pomodoro Timer
+ * The timer state machine lives in the background worker so it keeps
+ * running when the popup closes. Phase ends are scheduled with
+ * chrome.alarms and the state is persisted in chrome.storage.local;
+ * the popup only displays it. Loaded by background.js via importScripts.
+ */
+
+const POMODORO_PHASES = {
+  WORK: 'work',
+  SHORT_BREAK: 'shortBreak',
+  LONG_BREAK: 'longBreak'
+};
+
+const PHASE_ALARM = 'pomodoroPhaseEnd';
+const BADGE_ALARM = 'pomodoroBadge';
+
+const BADGE_COLORS = {
+  [POMODORO_PHASES.WORK]: '#8b5cf6',
+  [POMODORO_PHASES.SHORT_BREAK]: '#22c55e',
+  [POMODORO_PHASES.LONG_BREAK]: '#22c55e'
+};
+
+/**
+ * Length of a phase in milliseconds, from settings
+ */
+function getPhaseDuration(phase, pomodoro) {
+  const minutes = {
+    [POMODORO_PHASES.WORK]: pomodoro.workMinutes,
+    [POMODORO_PHASES.SHORT_BREAK]: pomodoro.shortBreakMinutes,
+    [POMODORO_PHASES.LONG_BREAK]: pomodoro.longBreakMinutes
+  }[phase];
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Read the timer state.
+ * status: 'idle' (phase not started), 'running' (ends at endsAt) or
+ * 'paused' (remainingMs left). startedAt is when the phase was first
+ * started. completedWork counts work phases finished in the current cycle.
+ */
+async function getTimerState() {
+  const result = await chrome.storage.local.get(['pomodoroState']);
+  return result.pomodoroState || {
+    phase: POMODORO_PHASES.WORK,
+    status: 'idle',
+    endsAt: null,
+    remainingMs: null,
+    completedWork: 0
+  };
+}
+
+/**
+ * Timer state plus everything the popup needs to display it
+ */
+async function getTimerView() {
+  const [state, settings] = await Promise.all([getTimerState(), getSettings()]);
+  const { pomodoro } = settings;
+  
+  let remainingMs = getPhaseDuration(state.phase, pomodoro);
+  if (state.status === 'running') {
+    remainingMs = Math.max(0, state.endsAt - Date.now());
+  } else if (state.status === 'paused') {
+    remainingMs = state.remainingMs;
+  }
+  
+  return {
+    ...state,
+    remainingMs,
+    cyclesBeforeLongBreak: pomodoro.cyclesBeforeLongBreak
+  };
+}
+
+/**
+ * Persist the timer state and refresh the badge
+ */
+async function saveTimerState(state) {
+  await chrome.storage.local.set({ pomodoroState: state });
+  await updateTimerBadge(state);
+}
+
+/**
+ * Start or resume the current phase
+ */
+async function startTimer() {
+  const [state, settings] = await Promise.all([getTimerState(), getSettings()]);
+  if (state.status === 'running') return getTimerView();
+  
+  const remainingMs = state.status === 'paused'
+    ? state.remainingMs
+    : getPhaseDuration(state.phase, settings.pomodoro);
+  const endsAt = Date.now() + remainingMs;
+  
+  chrome.alarms.create(PHASE_ALARM, { when: endsAt });
+  chrome.alarms.create(BADGE_ALARM, { periodInMinutes: 1 });
+  
+  // A phase keeps its start time across pauses; strict sessions key off it
+  const startedAt = state.status === 'idle' ? Date.now() : state.startedAt;
+  
+  await saveTimerState({ ...state, status: 'running', startedAt, endsAt, remainingMs: null });
+  return getTimerView();
+}
+
+/**
+ * Pause the running phase
+ */
+async function pauseTimer() {
+  const state = await getTimerState();
+  if (state.status !== 'running') return getTimerView();
+  
+  await clearTimerAlarms();
+  await saveTimerState({
+    ...state,
+    status: 'paused',
+    remainingMs: Math.max(0, state.endsAt - Date.now()),
+    endsAt: null
+  });
+  return getTimerView();
+}
+
+/**
+ * Back to the start of a fresh cycle
+ */
+async function resetTimer() {
+  await clearTimerAlarms();
+  await saveTimerState({
+    phase: POMODORO_PHASES.WORK,
+    status: 'idle',
+    endsAt: null,
+    remainingMs: null,
+    completedWork: 0
+  });
+  return getTimerView();
+}
+
+/**
+ * End the current phase early and move on to the next one
+ */
+async function skipPhase() {
+  await clearTimerAlarms();
+  await advancePhase(await getTimerState(), false);
+  return getTimerView();
+}
+
+/**
+ * Stop both timer alarms
+ */
+async function clearTimerAlarms() {
+  await chrome.alarms.clear(PHASE_ALARM);
+  await chrome.alarms.clear(BADGE_ALARM);
+}
+
+/**
+ * Move to the phase after `state.phase`, waiting for the user to start it.
+ * Every `cyclesBeforeLongBreak` finished work phases earn a long break.
+ */
+async function advancePhase(state, completed) {
+  const settings = await getSettings();
+  const { cyclesBeforeLongBreak } = settings.pomodoro;
+  let { completedWork } = state;
+  let phase;
+  
+  if (state.phase === POMODORO_PHASES.WORK) {
+    if (completed) completedWork += 1;
+    phase = completedWork > 0 && completedWork % cyclesBeforeLongBreak === 0
+      ? POMODORO_PHASES.LONG_BREAK
+      : POMODORO_PHASES.SHORT_BREAK;
+  } else {
+    phase = POMODORO_PHASES.WORK;
+    // A new cycle starts after the long break
+    if (state.phase === POMODORO_PHASES.LONG_BREAK) completedWork = 0;
+  }
+  
+  const next = { phase, status: 'idle', endsAt: null, remainingMs: null, completedWork };
+  await saveTimerState(next);
+  return next;
+}
+
+/**
+ * The running phase reached its end
+ */
+async function handlePhaseEnd() {
+  const state = await getTimerState();
+  if (state.status !== 'running') return;
+  
+  await chrome.alarms.clear(BADGE_ALARM);
+  const next = await advancePhase(state, true);
+  const settings = await getSettings();
+  const breakMinutes = getPhaseDuration(next.phase, settings.pomodoro) / 60000;
+  
+  if (next.phase === POMODORO_PHASES.WORK) {
+    showNotification(
+      'Break Over! 📚',
+      'Time to get back to learning. Start your next focus session when ready.'
+    );
+  } else if (next.phase === POMODORO_PHASES.LONG_BREAK) {
+    showNotification(
+      'Cycle Complete! 🏆',
+      `${next.completedWork} focus sessions done. Enjoy a ${breakMinutes}-minute break.`
+    );
+  } else {
+    showNotification(
+      'Pomodoro Complete! 🍅',
+      `Great focus session! Take a ${breakMinutes}-minute break, then get back to learning.`
+    );
+  }
+}
+
+/**
+ * Show the minutes left on the toolbar icon while a phase runs
+ */
+async function updateTimerBadge(state) {
+  if (state.status !== 'running') {
+    await chrome.action.setBadgeText({ text: state.status === 'paused' ? '❚❚' : '' });
+    return;
+  }
+  
+  const minutesLeft = Math.ceil(Math.max(0, state.endsAt - Date.now()) / 60000);
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[state.phase] });
+  await chrome.action.setBadgeText({ text: `${minutesLeft}m` });
+}
+
+/**
+ * Handle Pomodoro alarms; returns true if the alarm was a timer alarm
+ */
+async function handleTimerAlarm(alarm) {
+  if (alarm.name === PHASE_ALARM) {
+    await handlePhaseEnd();
+    return true;
+  }
+  
+  if (alarm.name === BADGE_ALARM) {
+    await updateTimerBadge(await getTimerState());
+    return true;
+  }
+  
+  return false;
+}
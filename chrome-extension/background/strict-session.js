@@ -0,0 +1,224 @@
+/**
+ * YouTube Focus Mode - Strict Focus Sessions
+ * With `strictSessions` on, a running (or paused) Pomodoro focus phase locks
+ * the filters: the background worker refuses any change that would loosen
+ * them, whichever context asks. The only way out before the phase ends is
+ * the emergency unlock — wait through a cooldown or type a passphrase.
+ * Loaded by background.js via importScripts, after pomodoro.js.
+ */
+
+// How long an emergency unlock without the passphrase takes
+const STRICT_UNLOCK_COOLDOWN_MINUTES = 10;
+
+// Typing this (case and spacing aside) unlocks immediately
+const STRICT_UNLOCK_PASSPHRASE = 'I am choosing distraction over my goals';
+
+/**
+ * Current strict session state.
+ * An unlock applies to the focus phase it was requested in (its startedAt),
+ * so it never carries over into the next session.
+ */
+async function getStrictState() {
+  const [settings, timer, result] = await Promise.all([
+    getSettings(),
+    getTimerState(),
+    chrome.storage.local.get(['strictUnlock'])
+  ]);
+  
+  const inSession = settings.strictSessions &&
+    timer.phase === POMODORO_PHASES.WORK &&
+    timer.status !== 'idle';
+  const unlock = result.strictUnlock;
+  const pendingUnlock = inSession && unlock && unlock.sessionStartedAt === timer.startedAt
+    ? unlock
+    : null;
+  const unlocked = Boolean(pendingUnlock && pendingUnlock.unlockAt <= Date.now());
+  
+  return {
+    enabled: settings.strictSessions,
+    active: Boolean(inSession) && !unlocked,
+    sessionStartedAt: inSession ? timer.startedAt : null,
+    unlockAt: pendingUnlock && !unlocked ? pendingUnlock.unlockAt : null,
+    cooldownMinutes: STRICT_UNLOCK_COOLDOWN_MINUTES,
+    passphrase: STRICT_UNLOCK_PASSPHRASE
+  };
+}
+
+/**
+ * Describe every way `next` loosens the filters compared to `current`.
+ * Both are flattened to their active profile, so switching to a profile
+ * that filters less counts too. Tightening (blocking more, allowing less)
+ * is always fine.
+ */
+function getStrictViolations(current, next) {
+  const violations = [];
+  
+  if (current.focusModeEnabled && !next.focusModeEnabled) {
+    violations.push('Turn off focus mode');
+  }
+  if (current.strictSessions && !next.strictSessions) {
+    violations.push('Turn off strict sessions');
+  }
+  if (current.replaceHomepage && !next.replaceHomepage) {
+    violations.push('Show the YouTube homepage');
+  }
+  if (current.shortsMode === 'block' && next.shortsMode !== 'block') {
+    violations.push('Stop blocking Shorts');
+  }
+  // Collapsed cards can be revealed; hidden ones can't
+  if (current.blockedDisplay === 'hide' && next.blockedDisplay === 'collapse') {
+    violations.push('Collapse blocked videos instead of hiding them');
+  }
+  // A higher threshold needs more blocked hits before a video is hidden
+  if (next.classificationThreshold > current.classificationThreshold) {
+    violations.push(`Raise the classification threshold to ${next.classificationThreshold}`);
+  }
+  // Either backend may let through what the other blocks
+  if (current.classifierBackend !== next.classifierBackend) {
+    violations.push(`Switch the classifier to ${CLASSIFIER_BACKENDS[next.classifierBackend].name}`);
+  }
+  
+  if (RELATED_VIDEO_MODES.indexOf(next.watchPage.relatedVideos) <
+      RELATED_VIDEO_MODES.indexOf(current.watchPage.relatedVideos)) {
+    violations.push(next.watchPage.relatedVideos === 'show' ? 'Show related videos unfiltered' : 'Show related videos');
+  }
+  const watchPageLabels = {
+    hideComments: 'Show comments',
+    hideEndScreen: 'Show end-screen cards',
+    disableAutoplay: 'Turn autoplay back on',
+    hideLiveChat: 'Show live chat',
+    hideMerch: 'Show merch shelves'
+  };
+  WATCH_PAGE_TOGGLES
+    .filter(key => current.watchPage[key] && !next.watchPage[key])
+    .forEach(key => violations.push(watchPageLabels[key]));
+  
+  // Keyword key → weight
+  const keywordWeights = keywords => new Map(keywords.map(keyword => [getKeywordKey(keyword), normalizeKeyword(keyword).weight]));
+  const nextBlocked = keywordWeights(next.blockedKeywords);
+  const currentAllowed = keywordWeights(current.allowedKeywords);
+  
+  current.blockedKeywords.forEach(keyword => {
+    const { term, weight } = normalizeKeyword(keyword);
+    const nextWeight = nextBlocked.get(getKeywordKey(keyword));
+    if (nextWeight === undefined) {
+      violations.push(`Remove blocked keyword "${term}"`);
+    } else if (nextWeight < weight) {
+      violations.push(`Lower the weight of blocked keyword "${term}"`);
+    }
+  });
+  next.allowedKeywords.forEach(keyword => {
+    const { term, weight } = normalizeKeyword(keyword);
+    const currentWeight = currentAllowed.get(getKeywordKey(keyword));
+    if (currentWeight === undefined) {
+      violations.push(`Add allowed keyword "${term}"`);
+    } else if (weight > currentWeight) {
+      violations.push(`Raise the weight of allowed keyword "${term}"`);
+    }
+  });
+  
+  const ruleKeys = rules => new Set((rules || []).map(getChannelRuleKey));
+  const nextBlockedChannels = ruleKeys(next.channelRules.blocked);
+  const currentAllowedChannels = ruleKeys(current.channelRules.allowed);
+  
+  current.channelRules.blocked
+    .filter(rule => !nextBlockedChannels.has(getChannelRuleKey(rule)))
+    .forEach(rule => violations.push(`Unblock channel ${rule.name || rule.value}`));
+  next.channelRules.allowed
+    .filter(rule => !currentAllowedChannels.has(getChannelRuleKey(rule)))
+    .forEach(rule => violations.push(`Allow channel ${rule.name || rule.value}`));
+  
+  const metadataKeys = rules => new Set(rules.map(getMetadataRuleKey));
+  const nextMetadata = metadataKeys(next.metadataRules);
+  const currentMetadata = metadataKeys(current.metadataRules);
+  
+  current.metadataRules
+    .filter(rule => rule.action === 'block' && !nextMetadata.has(getMetadataRuleKey(rule)))
+    .forEach(rule => violations.push(`Remove the rule "${describeMetadataRule(rule)}"`));
+  next.metadataRules
+    .filter(rule => rule.action === 'allow' && !currentMetadata.has(getMetadataRuleKey(rule)))
+    .forEach(rule => violations.push(`Add the rule "${describeMetadataRule(rule)}"`));
+  
+  // Switching profiles: one message rather than every keyword the new one lacks
+  if (current.profileId !== next.profileId && violations.length > 0) {
+    return [`Switch to profile "${next.profileName}"`];
+  }
+  
+  // Same for dropping a subscribed list
+  const enabledUrls = settings => settings.subscriptions
+    .filter(subscription => subscription.enabled)
+    .map(subscription => subscription.url);
+  const nextUrls = enabledUrls(next);
+  const droppedUrls = enabledUrls(current).filter(url => !nextUrls.includes(url));
+  if (droppedUrls.length > 0 && violations.length > 0) {
+    return droppedUrls.map(url => `Remove or turn off the list ${url}`);
+  }
+  
+  return violations;
+}
+
+/**
+ * Log a refused change to the activity log
+ */
+function logStrictRefusal(actions, source) {
+  console.warn('[Focus Mode] Refused during strict session:', actions);
+  return recordEvents([{ type: ACTIVITY_EVENTS.STRICT_REFUSED, actions, source }]);
+}
+
+/**
+ * Response for a refused request
+ */
+function createStrictRefusal(actions) {
+  return {
+    success: false,
+    refused: actions,
+    error: 'Locked until this focus session ends'
+  };
+}
+
+/**
+ * Run `action` unless a strict session is active, in which case the
+ * request is refused and logged instead
+ */
+async function runUnlessStrict(description, source, action) {
+  const strict = await getStrictState();
+  if (strict.active) {
+    await logStrictRefusal([description], source);
+    return createStrictRefusal([description]);
+  }
+  return action();
+}
+
+/**
+ * Emergency unlock. With the passphrase the session unlocks at once;
+ * without it, a cooldown starts and the session unlocks when it runs out.
+ */
+async function requestStrictUnlock(passphrase) {
+  const strict = await getStrictState();
+  if (!strict.active) return strict;
+  
+  const normalize = text => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+  let unlockAt;
+  let method;
+  
+  if (passphrase !== undefined) {
+    if (normalize(passphrase) !== normalize(STRICT_UNLOCK_PASSPHRASE)) {
+      return { ...strict, error: 'That is not the passphrase' };
+    }
+    unlockAt = Date.now();
+    method = 'passphrase';
+  } else if (strict.unlockAt) {
+    // Asking again doesn't restart the cooldown
+    return strict;
+  } else {
+    unlockAt = Date.now() + STRICT_UNLOCK_COOLDOWN_MINUTES * 60 * 1000;
+    method = 'cooldown';
+  }
+  
+  await chrome.storage.local.set({
+    strictUnlock: { sessionStartedAt: strict.sessionStartedAt, unlockAt }
+  });
+  await recordEvents([{ type: ACTIVITY_EVENTS.STRICT_UNLOCKED, method, unlockAt }]);
+  
+  return getStrictState();
+}
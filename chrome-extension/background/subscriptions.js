@@ -0,0 +1,174 @@
+/**
+ * YouTube Focus Mode - List Subscriptions (background)
+ * Fetches subscribed lists on an alarm and caches them in storage.local,
+ * so filtering keeps working offline from the last good copy. Requests
+ * send the cached ETag / Last-Modified, so unchanged lists cost a 304.
+ * Loaded by background.js via importScripts.
+ */
+
+const SUBSCRIPTION_ALARM = 'subscriptions';
+
+// How often lists are checked for updates
+const SUBSCRIPTION_REFRESH_MINUTES = 6 * 60;
+
+const SUBSCRIPTION_FETCH_TIMEOUT_MS = 15000;
+
+// Serializes cache writes so an alarm and a settings change can't clobber each other
+let subscriptionCacheQueue = Promise.resolve();
+
+/**
+ * Cached lists, keyed by subscription ID:
+ * { url, etag, lastModified, fetchedAt, checkedAt, list, error }
+ */
+async function getSubscriptionCache() {
+  const result = await chrome.storage.local.get(['subscriptionCache']);
+  return result.subscriptionCache || {};
+}
+
+/**
+ * The cached lists of every enabled subscription, in settings order.
+ * A cache entry for an older URL of the subscription doesn't count.
+ */
+async function getSubscriptionLists(settings) {
+  const cache = await getSubscriptionCache();
+  const lists = [];
+  settings.subscriptions.forEach(subscription => {
+    const entry = cache[subscription.id];
+    if (subscription.enabled && entry && entry.list && entry.url === subscription.url) {
+      lists.push(entry.list);
+    }
+  });
+  return lists;
+}
+
+/**
+ * The lists `next` would apply once saved, for judging a settings change
+ * before saving it. Lists `current` doesn't apply yet (added, turned back
+ * on or moved to another URL) are fetched now rather than trusted from the
+ * cache, since the refresh after saving would fetch them too.
+ * Resolves to { lists, failed }: `failed` lists the URLs of new lists that
+ * couldn't be fetched, so what they contain is unknown.
+ */
+async function getUpcomingSubscriptionLists(current, next) {
+  const cache = await getSubscriptionCache();
+  const applied = new Set(current.subscriptions
+    .filter(subscription => subscription.enabled)
+    .map(subscription => `${subscription.id} ${subscription.url}`));
+  const lists = [];
+  const failed = [];
+  
+  for (const subscription of next.subscriptions) {
+    if (!subscription.enabled) continue;
+    
+    const cached = cache[subscription.id];
+    if (applied.has(`${subscription.id} ${subscription.url}`)) {
+      if (cached && cached.url === subscription.url && cached.list) lists.push(cached.list);
+      continue;
+    }
+    
+    const entry = await fetchSubscription(subscription, cached);
+    if (entry.list) {
+      lists.push(entry.list);
+    } else {
+      failed.push(subscription.url);
+    }
+  }
+  return { lists, failed };
+}
+
+/**
+ * Fetch one list, revalidating the cached copy if there is one.
+ * Never throws: failures are recorded in `error` and the cached list is kept.
+ */
+async function fetchSubscription(subscription, cached) {
+  const now = Date.now();
+  const previous = cached && cached.url === subscription.url ? cached : null;
+  const headers = {};
+  if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+  if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), SUBSCRIPTION_FETCH_TIMEOUT_MS);
+  
+  try {
+    // Skip the HTTP cache: revalidation is done by hand so a 304 is seen as one
+    const response = await fetch(subscription.url, { headers, cache: 'no-store', signal: controller.signal });
+    
+    if (response.status === 304 && previous) {
+      return { ...previous, checkedAt: now, error: null };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const list = parseSubscriptionList(await response.json());
+    console.log(`[Focus Mode] Updated list ${subscription.url}`);
+    return {
+      url: subscription.url,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      fetchedAt: now,
+      checkedAt: now,
+      list,
+      error: null
+    };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Timed out' : error.message;
+    console.error(`[Focus Mode] Error fetching list ${subscription.url}:`, message);
+    return { ...(previous || { url: subscription.url, list: null }), checkedAt: now, error: message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Fetch subscriptions that are new, have a new URL or are due for a check
+ * (all of them with `force`), and drop cache entries for removed ones.
+ * Resolves to true if any cached list changed.
+ */
+function refreshSubscriptions(settings, force = false) {
+  const refresh = subscriptionCacheQueue.then(async () => {
+    const cache = await getSubscriptionCache();
+    const next = {};
+    let listsChanged = Object.keys(cache).some(id => !settings.subscriptions.some(s => s.id === id));
+    
+    for (const subscription of settings.subscriptions) {
+      const cached = cache[subscription.id];
+      const due = !cached || cached.url !== subscription.url ||
+        Date.now() - cached.checkedAt >= SUBSCRIPTION_REFRESH_MINUTES * 60 * 1000;
+      
+      if (!subscription.enabled || !(force || due)) {
+        if (cached) next[subscription.id] = cached;
+        continue;
+      }
+      
+      next[subscription.id] = await fetchSubscription(subscription, cached);
+      if (!cached || next[subscription.id].fetchedAt !== cached.fetchedAt) {
+        listsChanged = true;
+      }
+    }
+    
+    await chrome.storage.local.set({ subscriptionCache: next });
+    return listsChanged;
+  });
+  
+  // Keep the queue alive even if this refresh fails
+  subscriptionCacheQueue = refresh.catch(error => {
+    console.error('[Focus Mode] Error refreshing lists:', error);
+  });
+  
+  return refresh.catch(() => false);
+}
+
+/**
+ * Check every list periodically. Left alone if already set, since
+ * re-creating it would push the next check back each time the worker starts.
+ */
+async function scheduleSubscriptionRefresh() {
+  if (await chrome.alarms.get(SUBSCRIPTION_ALARM)) return;
+  
+  chrome.alarms.create(SUBSCRIPTION_ALARM, {
+    delayInMinutes: SUBSCRIPTION_REFRESH_MINUTES,
+    periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES
+  });
+}
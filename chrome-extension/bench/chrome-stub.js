@@ -0,0 +1,25 @@
+/**
+ * YouTube Focus Mode - Benchmark chrome.* Stand-in
+ * Just enough of the extension APIs for the content scripts to run in a
+ * plain page: settings are the defaults at the strict filter level, and
+ * every other message succeeds without doing anything.
+ */
+
+window.chrome = {
+  runtime: {
+    sendMessage: async (message) => {
+      if (message.type === 'GET_SETTINGS') {
+        return applyFilterStatus(getDefaultSettings(), { level: FILTER_LEVELS.STRICT, profileId: 'default' });
+      }
+      return { success: true };
+    },
+    onMessage: { addListener: () => {} }
+  },
+  storage: {
+    local: {
+      get: async () => ({}),
+      set: async () => {}
+    },
+    onChanged: { addListener: () => {} }
+  }
+};
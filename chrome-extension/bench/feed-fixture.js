@@ -0,0 +1,215 @@
+/**
+ * YouTube Focus Mode - Recorded Feed
+ * A page of the home feed (the children of ytd-rich-grid-renderer
+ * #contents), trimmed of inline styles, images and tracking attributes.
+ * To record a fresh one, turn focus mode off, run this in DevTools on
+ * youtube.com and paste the result between the backticks:
+ *   copy(document.querySelector('ytd-rich-grid-renderer #contents').innerHTML)
+ */
+
+const RECORDED_FEED_HTML = `
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=rfscVS0vtbw"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@freecodecamp" title="freeCodeCamp.org"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=rfscVS0vtbw" title="Learn Python - Full Course for Beginners"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Learn Python - Full Course for Beginners</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@freecodecamp">freeCodeCamp.org</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">46M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">6 years ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=Kp4Mvapo5kc"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@laughfactoryhq" title="Laugh Factory HQ"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=Kp4Mvapo5kc" title="Funniest Pranks of the Year | Try Not To Laugh"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Funniest Pranks of the Year | Try Not To Laugh</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@laughfactoryhq">Laugh Factory HQ</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">12M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">1 year ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=8hly31xKli0"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@freecodecamp" title="freeCodeCamp.org"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=8hly31xKli0" title="Algorithms and Data Structures Tutorial - Full Course"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Algorithms and Data Structures Tutorial - Full Course</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@freecodecamp">freeCodeCamp.org</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">3.1M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">4 years ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=dQx2Pm7sd0A"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@sakuradiaries" title="Sakura Diaries"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=dQx2Pm7sd0A" title="My Morning Routine in Tokyo (vlog)"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">My Morning Routine in Tokyo (vlog)</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@sakuradiaries">Sakura Diaries</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">890K views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">3 weeks ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=aircAruvnKk"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@3blue1brown" title="3Blue1Brown"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=aircAruvnKk" title="But what is a neural network? | Deep learning chapter 1"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">But what is a neural network? | Deep learning chapter 1</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@3blue1brown">3Blue1Brown</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">19M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">7 years ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=tJx3kD9pQ1s"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@blockbuilderz" title="BlockBuilderz"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=tJx3kD9pQ1s" title="Minecraft Hardcore Gameplay - Day 100"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Minecraft Hardcore Gameplay - Day 100</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@blockbuilderz">BlockBuilderz</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">2.4M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">5 days ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-section-renderer class="style-scope ytd-rich-grid-renderer">
+    <div id="content" class="style-scope ytd-rich-section-renderer">
+      <ytd-rich-shelf-renderer class="style-scope ytd-rich-section-renderer" is-shorts="">
+        <div id="title-container" class="style-scope ytd-rich-shelf-renderer"><span id="title" class="style-scope ytd-rich-shelf-renderer">Shorts</span></div>
+        <div id="contents" class="style-scope ytd-rich-shelf-renderer">
+          <ytm-shorts-lockup-view-model-v2><a href="/shorts/x3Fk9LqPz0Q" title="Wait for it..."></a></ytm-shorts-lockup-view-model-v2>
+          <ytm-shorts-lockup-view-model-v2><a href="/shorts/Qm2Lr8TnV4w" title="POV: the code finally compiles"></a></ytm-shorts-lockup-view-model-v2>
+          <ytm-shorts-lockup-view-model-v2><a href="/shorts/Hs7Wd1KpY9e" title="Cat vs cucumber"></a></ytm-shorts-lockup-view-model-v2>
+        </div>
+      </ytd-rich-shelf-renderer>
+    </div>
+  </ytd-rich-section-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=SqcY0GlETPk"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@programmingwithmosh" title="Programming with Mosh"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=SqcY0GlETPk" title="React Tutorial for Beginners"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">React Tutorial for Beginners</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@programmingwithmosh">Programming with Mosh</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">4.2M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">1 year ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=Z7bQ0vKn3aE"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@wanderplates" title="Wander Plates"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=Z7bQ0vKn3aE" title="Street Food Tour of Bangkok"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Street Food Tour of Bangkok</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@wanderplates">Wander Plates</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">1.1M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">2 months ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=i_LwzRVP7bg"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@bytebytego" title="ByteByteGo"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=i_LwzRVP7bg" title="System Design Interview: Design a URL Shortener"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">System Design Interview: Design a URL Shortener</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@bytebytego">ByteByteGo</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">640K views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">1 year ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=L0wq8xRkT2c"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@cinemaroastshow" title="Cinema Roast Show"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=L0wq8xRkT2c" title="Reacting to the Worst Movie Trailers"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Reacting to the Worst Movie Trailers</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@cinemaroastshow">Cinema Roast Show</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">3.3M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">2 weeks ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=WUvTyaaNkzM"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@3blue1brown" title="3Blue1Brown"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=WUvTyaaNkzM" title="Essence of calculus"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Essence of calculus</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@3blue1brown">3Blue1Brown</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">9.8M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">7 years ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+  <ytd-rich-item-renderer class="style-scope ytd-rich-grid-renderer" items-per-row="4">
+    <div id="content" class="style-scope ytd-rich-item-renderer">
+      <ytd-rich-grid-media class="style-scope ytd-rich-item-renderer">
+        <div id="dismissible" class="style-scope ytd-rich-grid-media">
+          <ytd-thumbnail class="style-scope ytd-rich-grid-media" size="large"><a id="thumbnail" class="yt-simple-endpoint inline-block style-scope ytd-thumbnail" href="/watch?v=pQf7Ns2Lm0E"><yt-image class="style-scope ytd-thumbnail"><img class="yt-core-attributed-string" alt="" width="9999"></yt-image><div id="overlays" class="style-scope ytd-thumbnail"></div></a></ytd-thumbnail>
+          <div id="details" class="style-scope ytd-rich-grid-media">
+            <a id="avatar-link" class="yt-simple-endpoint style-scope ytd-rich-grid-media" href="/@chillhopmusic" title="Chillhop Music"><yt-img-shadow class="style-scope ytd-rich-grid-media"></yt-img-shadow></a>
+            <div id="meta" class="style-scope ytd-rich-grid-media">
+              <h3 class="style-scope ytd-rich-grid-media"><a id="video-title-link" class="yt-simple-endpoint focus-on-expand style-scope ytd-rich-grid-media" href="/watch?v=pQf7Ns2Lm0E" title="Lofi beats to relax and study to"><yt-formatted-string id="video-title" class="style-scope ytd-rich-grid-media">Lofi beats to relax and study to</yt-formatted-string></a></h3>
+              <ytd-video-meta-block class="grid style-scope ytd-rich-grid-media"><div id="metadata" class="style-scope ytd-video-meta-block"><div id="byline-container" class="style-scope ytd-video-meta-block"><ytd-channel-name id="channel-name" class="style-scope ytd-video-meta-block"><div id="container" class="style-scope ytd-channel-name"><div id="text-container" class="style-scope ytd-channel-name"><yt-formatted-string id="text" class="style-scope ytd-channel-name"><a class="yt-simple-endpoint style-scope yt-formatted-string" href="/@chillhopmusic">Chillhop Music</a></yt-formatted-string></div></div></ytd-channel-name></div><div id="metadata-line" class="style-scope ytd-video-meta-block"><span class="inline-metadata-item style-scope ytd-video-meta-block">6.5M views</span><span class="inline-metadata-item style-scope ytd-video-meta-block">2 years ago</span></div></div></ytd-video-meta-block>
+            </div>
+          </div>
+        </div>
+      </ytd-rich-grid-media>
+    </div>
+  </ytd-rich-item-renderer>
+`;
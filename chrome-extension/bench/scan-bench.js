@@ -0,0 +1,138 @@
+/**
+ * YouTube Focus Mode - Scan Benchmark
+ * Replays the recorded feed (feed-fixture.js) into the page batch by batch,
+ * the way infinite scroll grows a feed, and times after each batch:
+ * - incremental: scanRoot() on just the added nodes, what runs now
+ * - full: a whole-page scan, what every mutation batch used to trigger
+ * - idle poll: the same scan with nothing new, what the old 2-second
+ *   interval cost while the page sat still
+ * Open scan-bench.html straight from disk; there is no build step.
+ */
+
+/**
+ * The element the recorded feed is replayed into
+ */
+function getFeedContainer() {
+  return document.querySelector('ytd-rich-grid-renderer #contents');
+}
+
+/**
+ * Append copies of the recorded feed items until `size` items were added.
+ * Returns the added elements.
+ */
+function appendFeedBatch(template, size) {
+  const container = getFeedContainer();
+  const added = [];
+  
+  while (added.length < size) {
+    for (const item of template.content.children) {
+      if (added.length >= size) break;
+      const clone = item.cloneNode(true);
+      container.appendChild(clone);
+      added.push(clone);
+    }
+  }
+  
+  return added;
+}
+
+/**
+ * Undo the filter on a batch so the next measurement scans it afresh
+ */
+function resetBatch(items) {
+  items.forEach(item => {
+    item.classList.remove('focus-hidden');
+    item.querySelectorAll('.focus-hidden').forEach(el => el.classList.remove('focus-hidden'));
+    getCardsIn(item).forEach(resetVideoState);
+  });
+}
+
+/**
+ * Milliseconds `fn` takes to run
+ */
+function timeRun(fn) {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+/**
+ * Whole-page scan, as the old observer and interval ran it
+ */
+function scanFullPage() {
+  hideShorts();
+  filterVideos();
+}
+
+/**
+ * Show one row per batch and a total row
+ */
+function renderResults(rows) {
+  const body = document.getElementById('results');
+  body.innerHTML = '';
+  
+  const totals = { incremental: 0, full: 0, idle: 0 };
+  const addRow = (cells, className) => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  };
+  
+  rows.forEach((row, index) => {
+    Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+    addRow([index + 1, row.cards, row.incremental.toFixed(2), row.full.toFixed(2), row.idle.toFixed(2)]);
+  });
+  addRow(['Total', '', totals.incremental.toFixed(2), totals.full.toFixed(2), totals.idle.toFixed(2)], 'total');
+}
+
+/**
+ * Replay the feed and time each kind of scan after every batch
+ */
+async function runBenchmark() {
+  const batches = Number(document.getElementById('batches').value);
+  const batchSize = Number(document.getElementById('batchSize').value);
+  const button = document.getElementById('run');
+  button.disabled = true;
+  
+  // The content script's own observer would scan the same nodes behind the
+  // measurements' back
+  observer.disconnect();
+  
+  const template = document.createElement('template');
+  template.innerHTML = RECORDED_FEED_HTML;
+  
+  // Warm up the keyword matchers so the first batch isn't charged for compiling them
+  appendFeedBatch(template, batchSize);
+  scanFullPage();
+  getFeedContainer().innerHTML = '';
+  
+  const rows = [];
+  for (let i = 0; i < batches; i++) {
+    const added = appendFeedBatch(template, batchSize);
+    
+    // The recorded items repeat, so cached verdicts are dropped before each
+    // scan; a real feed brings new video IDs
+    classificationCache.clear();
+    const incremental = timeRun(() => added.forEach(scanRoot));
+    resetBatch(added);
+    classificationCache.clear();
+    const full = timeRun(scanFullPage);
+    const idle = timeRun(scanFullPage);
+    
+    rows.push({ cards: getFeedContainer().children.length, incremental, full, idle });
+    renderResults(rows);
+    
+    // Let the page paint between batches
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  
+  setupObserver();
+  button.disabled = false;
+}
+
+document.getElementById('run').addEventListener('click', runBenchmark);
@@ -0,0 +1,212 @@
+/**
+ * YouTube Focus Mode - Blocked Cards
+ * How blocked cards look and what can be done about them. With the
+ * "hide" display they simply disappear; with "collapse" each one shrinks to
+ * a one-line placeholder saying what was hidden and why, with "Reveal once"
+ * and "This is educational" (always allow the channel, and teach the
+ * on-device model). Also lists what was
+ * blocked on the page for the popup. Relies on the settings and helpers
+ * defined in content.js and watch-page.js.
+ */
+
+// Why each blocked card was blocked: { videoId, title, channel, classification }
+const blockedCardDetails = new WeakMap();
+
+/**
+ * Hide or collapse a blocked card, depending on the display setting
+ */
+function showBlockedCard(card, details) {
+  blockedCardDetails.set(card, details);
+  
+  if (settings.blockedDisplay === 'collapse') {
+    collapseCard(card, details);
+  } else {
+    card.classList.add('focus-hidden');
+  }
+}
+
+/**
+ * Shrink a card to a placeholder. The card's own content stays in place,
+ * hidden by CSS, so revealing it needs no re-render.
+ */
+function collapseCard(card, details) {
+  card.classList.add('focus-collapsed');
+  
+  const placeholder = document.createElement('div');
+  placeholder.className = 'focus-placeholder';
+  placeholder.innerHTML = `
+    <span class="focus-placeholder-text"></span>
+    <button class="focus-placeholder-btn" type="button" data-action="reveal">Reveal once</button>
+    <button class="focus-placeholder-btn" type="button" data-action="educational">This is educational</button>
+  `;
+  
+  // Titles and channel names come from the page, so never interpolate them as HTML
+  const text = placeholder.querySelector('.focus-placeholder-text');
+  text.textContent = `"${details.title}" · ${describeClassification(details.classification)}`;
+  text.title = details.title;
+  
+  // Neither allowing the channel nor the model overrides a hide rule
+  const educationalBtn = placeholder.querySelector('[data-action="educational"]');
+  if (isHiddenByRule(details.classification)) {
+    educationalBtn.remove();
+  } else if (details.channel) {
+    educationalBtn.title = `Always allow ${details.channel.name || 'this channel'}`;
+  } else if (settings.classifierBackend === 'model') {
+    educationalBtn.title = 'Teach the on-device model that this is educational';
+  } else {
+    educationalBtn.remove();
+  }
+  
+  placeholder.addEventListener('click', async (e) => {
+    const action = e.target.dataset && e.target.dataset.action;
+    if (!action) return;
+    
+    // The card is a link; don't open the video
+    e.preventDefault();
+    e.stopPropagation();
+    
+    if (action === 'reveal') {
+      const error = await requestReveal(details);
+      if (error) {
+        text.textContent = `Not revealed: ${error}`;
+      } else {
+        revealCard(card);
+      }
+    } else {
+      const error = await markCardEducational(card);
+      if (error) text.textContent = `Not saved: ${error}`;
+    }
+  });
+  
+  card.prepend(placeholder);
+}
+
+/**
+ * Undo the hiding or collapsing, keeping what the card was blocked for
+ */
+function clearBlockedDisplay(card) {
+  card.classList.remove('focus-hidden', 'focus-collapsed');
+  card.querySelectorAll(':scope > .focus-placeholder').forEach(el => el.remove());
+}
+
+/**
+ * Ask the background worker whether a blocked card may be revealed; a
+ * strict session refuses. Returns an error message, or null if it may.
+ */
+async function requestReveal(details) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'REVEAL_BLOCKED_CARD',
+      title: details.title
+    });
+    return response && response.success ? null : (response && response.error) || 'Could not reveal';
+  } catch (error) {
+    console.error('[Focus Mode] Error revealing card:', error);
+    return 'Could not reveal';
+  }
+}
+
+/**
+ * Show a blocked card until it is recycled or the settings change
+ */
+function revealCard(card) {
+  card.dataset.focusRevealed = 'true';
+  clearBlockedDisplay(card);
+}
+
+/**
+ * Whether "This is educational" has anything to do for a card: allow its
+ * channel, or teach the model. Neither overrides a hide rule.
+ */
+function canMarkEducational(details) {
+  if (isHiddenByRule(details.classification)) return false;
+  return Boolean(details.channel) || settings.classifierBackend === 'model';
+}
+
+/**
+ * "This is educational": teach the on-device model, and always allow the
+ * card's channel when it is known.
+ * Returns an error message, or null once everything is saved.
+ */
+async function markCardEducational(card) {
+  const details = blockedCardDetails.get(card);
+  if (!details) return 'That video is no longer on the page';
+  if (isHiddenByRule(details.classification)) {
+    return `Hidden by your rule "${describeMetadataRule(details.classification.metadataRule)}"`;
+  }
+  if (!canMarkEducational(details)) return 'No channel to allow';
+  
+  // The model learns from every answer, even before it is switched on
+  const feedback = await sendClassifierFeedback(details.title, 'educational');
+  if (!feedback || !feedback.success) {
+    return (feedback && feedback.error) || 'Could not save';
+  }
+  if (!details.channel) return null;
+  
+  const response = await trustChannel(details.channel);
+  return response && response.success ? null : (response && response.error) || 'Could not save';
+}
+
+/**
+ * Re-apply the display setting to every blocked card, after it changed
+ */
+function refreshBlockedCards() {
+  document.querySelectorAll('[data-focus-processed]').forEach(card => {
+    const details = blockedCardDetails.get(card);
+    if (!details || card.dataset.focusRevealed) return;
+    
+    clearBlockedDisplay(card);
+    showBlockedCard(card, details);
+  });
+}
+
+/**
+ * Blocked cards on this page, for the popup: one entry per card key
+ * (see filterVideos), in page order
+ */
+function getBlockedCards() {
+  const cards = new Map();
+  
+  document.querySelectorAll('[data-focus-processed]').forEach(card => {
+    const details = blockedCardDetails.get(card);
+    const key = card.dataset.focusProcessed;
+    if (!details || cards.has(key)) return;
+    
+    cards.set(key, {
+      key,
+      title: details.title,
+      channelName: details.channel ? details.channel.name || details.channel.handle || details.channel.id : null,
+      reason: describeClassification(details.classification),
+      revealed: Boolean(card.dataset.focusRevealed),
+      canMarkEducational: canMarkEducational(details)
+    });
+  });
+  
+  return [...cards.values()];
+}
+
+/**
+ * Cards judged as the video (or title) `key`
+ */
+function findCardsByKey(key) {
+  return [...document.querySelectorAll('[data-focus-processed]')]
+    .filter(card => card.dataset.focusProcessed === key);
+}
+
+/**
+ * Act on a blocked card from the popup. Resolves to { success, error }.
+ */
+async function handleBlockedCardAction(action, key) {
+  const cards = findCardsByKey(key).filter(card => blockedCardDetails.has(card));
+  if (cards.length === 0) return { success: false, error: 'That video is no longer on the page' };
+  
+  if (action === 'reveal') {
+    const error = await requestReveal(blockedCardDetails.get(cards[0]));
+    if (error) return { success: false, error };
+    cards.forEach(revealCard);
+    return { success: true };
+  }
+  
+  const error = await markCardEducational(cards[0]);
+  return error ? { success: false, error } : { success: true };
+}
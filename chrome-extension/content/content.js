@@ -7,21 +7,42 @@
 let settings = null;
 let isInitialized = false;
 let observer = null;
-let scanInterval = null;
 
-// Selectors for YouTube elements
+// Longest a batch of added nodes waits for an idle moment before it is scanned
+const SCAN_IDLE_TIMEOUT_MS = 200;
+
+// Elements added since the last scan, and whether an idle scan is scheduled
+const pendingScanRoots = new Set();
+let scanScheduled = false;
+
+// Verdicts by video ID (plus metadata, see filterVideos), so re-rendered
+// and recycled cards aren't scored again. Only valid for the settings they
+// were made with (forgetClassifications).
+const classificationCache = new Map();
+const MAX_CACHED_CLASSIFICATIONS = 2000;
+
+// Blocks already recorded while this page is open: card video IDs (or
+// titles, for cards without an ID), plus `watch:` video IDs and `search:`
+// queries. Kept apart from the verdict cache, which is dropped whenever the
+// settings change, so judging something again never counts it twice.
+const countedBlocks = new Set();
+
+// The on-device model, trained by the background worker from feedback
+let classifierModel = null;
+
+// Selectors for YouTube elements; those the filters can't work without
+// come from the registry in selectors.js, with their fallbacks
 const SELECTORS = {
   // Homepage elements to hide
   homeFeed: 'ytd-browse[page-subtype="home"] #contents',
   trending: 'ytd-browse[page-subtype="trending"]',
-  shorts: 'ytd-reel-shelf-renderer, ytd-rich-shelf-renderer[is-shorts], [is-shorts]',
-  shortsTab: 'ytd-mini-guide-entry-renderer[aria-label="Shorts"]',
-  shortsSection: 'ytd-rich-section-renderer:has([is-shorts])',
   
   // Video elements
-  videoRenderer: 'ytd-video-renderer, ytd-rich-item-renderer, ytd-compact-video-renderer',
-  videoTitle: '#video-title, #video-title-link',
-  channelName: '#channel-name, ytd-channel-name',
+  videoRenderer: getSelector('videoCard'),
+  videoTitle: getSelector('videoTitle'),
+  channelName: getSelector('channelName'),
+  channelLink: 'ytd-channel-name a, #channel-name a, a#avatar-link, #channel-info a, a[href^="/@"], a[href^="/channel/"]',
+  thumbnail: 'ytd-thumbnail, #thumbnail',
   
   // Sidebar and recommendations
   recommendations: 'ytd-watch-next-secondary-results-renderer',
@@ -42,45 +63,47 @@ async function initialize() {
   
   // Load settings
   await loadSettings();
+  await loadClassifierModel();
   
   // Inject custom styles
   injectStyles();
   
   // Initial scan
   if (settings.focusModeEnabled) {
+    if (isStrictFiltering()) enforceShortsPage();
     setTimeout(() => {
       scanAndFilter();
       checkForHomepage();
     }, 500);
   }
   
-  // Set up mutation observer
+  // Scan what YouTube adds from here on
   setupObserver();
   
-  // Periodic scanning for dynamic content
-  scanInterval = setInterval(() => {
-    if (settings.focusModeEnabled) {
-      scanAndFilter();
-    }
-  }, 2000);
+  // Report selectors that stopped matching
+  scheduleSelectorHealthCheck();
   
   // Listen for navigation
+  window.addEventListener('yt-navigate-start', onNavigateStart);
   window.addEventListener('yt-navigate-finish', onNavigate);
   
   // Listen for settings updates
   chrome.runtime.onMessage.addListener(handleMessage);
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  
+  recordActivity([{ type: ACTIVITY_EVENTS.SESSION_STARTED, timestamp: Date.now() }]);
   
   isInitialized = true;
   console.log('[Focus Mode] Initialized successfully');
 }
 
 /**
- * Load settings from storage
+ * Load settings from the background worker, with the scheduled filter
+ * level applied
  */
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    settings = result.focusSettings || getDefaultSettings();
+    settings = normalizeSettings(await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }));
   } catch (error) {
     console.error('[Focus Mode] Error loading settings:', error);
     settings = getDefaultSettings();
@@ -88,22 +111,31 @@ async function loadSettings() {
 }
 
 /**
- * Get default settings
+ * Load the on-device model from local storage
  */
-function getDefaultSettings() {
-  return {
-    focusModeEnabled: true,
-    allowedKeywords: [
-      'tutorial', 'course', 'lecture', 'coding', 'programming',
-      'java', 'python', 'javascript', 'react', 'dsa', 'algorithms',
-      'system design', 'ai', 'machine learning', 'web development',
-      'interview', 'leetcode'
-    ],
-    blockedKeywords: [
-      'prank', 'vlog', 'roast', 'shorts', 'gaming', 'reaction',
-      'comedy', 'movie', 'music video', 'tiktok', 'funny', 'meme'
-    ]
-  };
+async function loadClassifierModel() {
+  try {
+    const result = await chrome.storage.local.get(['classifierModel']);
+    classifierModel = result.classifierModel || null;
+  } catch (error) {
+    console.error('[Focus Mode] Error loading classifier model:', error);
+  }
+}
+
+/**
+ * Strict filtering takes over pages (homepage, blocked watch pages, Shorts
+ * pages); relaxed filtering only filters what is listed in feeds
+ */
+function isStrictFiltering() {
+  return settings.focusModeEnabled && settings.filterLevel !== FILTER_LEVELS.RELAXED;
+}
+
+/**
+ * Whether the homepage is replaced with the focus dashboard; profiles can
+ * opt out
+ */
+function shouldReplaceHomepage() {
+  return isStrictFiltering() && settings.replaceHomepage !== false;
 }
 
 /**
@@ -184,6 +216,70 @@ function injectStyles() {
       font-style: italic;
     }
     
+    /* Daily goal ring */
+    .focus-goal {
+      position: relative;
+      width: 140px;
+      height: 140px;
+      margin: 0 auto 12px;
+    }
+    
+    .focus-goal-ring {
+      width: 100%;
+      height: 100%;
+      transform: rotate(-90deg);
+    }
+    
+    .focus-goal-ring circle {
+      fill: none;
+      stroke-width: 2.5;
+    }
+    
+    .focus-goal-track {
+      stroke: rgba(139, 92, 246, 0.2);
+    }
+    
+    .focus-goal-fill {
+      stroke: #a78bfa;
+      stroke-linecap: round;
+      stroke-dasharray: 100;
+      stroke-dashoffset: 100;
+      transition: stroke-dashoffset 0.6s ease;
+    }
+    
+    .focus-goal.met .focus-goal-fill {
+      stroke: #22c55e;
+    }
+    
+    .focus-goal-text {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      padding: 0 20px;
+    }
+    
+    .focus-goal-minutes {
+      color: #e4e4f7;
+      font-size: 32px;
+      font-weight: 700;
+    }
+    
+    .focus-goal-caption {
+      color: #9ca3af;
+      font-size: 11px;
+      line-height: 1.3;
+    }
+    
+    .focus-goal-streak {
+      color: #fbbf24;
+      font-size: 15px;
+      font-weight: 600;
+      margin-bottom: 32px;
+    }
+    
     .focus-actions {
       display: flex;
       gap: 16px;
@@ -315,6 +411,51 @@ function injectStyles() {
       align-items: center;
       gap: 4px;
     }
+    
+    /* Trust channel button */
+    .focus-trust-btn {
+      position: absolute;
+      top: 8px;
+      right: 8px;
+      background: rgba(15, 15, 35, 0.85);
+      color: #a78bfa;
+      border: 1px solid rgba(139, 92, 246, 0.5);
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 10px;
+      font-weight: 600;
+      cursor: pointer;
+      z-index: 10;
+      opacity: 0;
+      transition: opacity 0.2s ease;
+    }
+    
+    ytd-thumbnail:hover .focus-trust-btn,
+    #thumbnail:hover .focus-trust-btn,
+    .focus-trust-btn:focus-visible {
+      opacity: 1;
+    }
+    
+    .focus-trust-btn:hover {
+      background: rgba(139, 92, 246, 0.9);
+      color: white;
+    }
+    
+    /* "Not educational" feedback on the badge */
+    .focus-edu-feedback {
+      background: none;
+      border: none;
+      color: white;
+      font-size: 10px;
+      line-height: 1;
+      padding: 0 0 0 4px;
+      cursor: pointer;
+      opacity: 0.7;
+    }
+    
+    .focus-edu-feedback:hover {
+      opacity: 1;
+    }
   `;
   document.head.appendChild(style);
 }
@@ -327,7 +468,7 @@ function checkForHomepage() {
                  window.location.pathname === '/feed/subscriptions' ||
                  document.querySelector('ytd-browse[page-subtype="home"]');
   
-  if (isHome && settings.focusModeEnabled) {
+  if (isHome && shouldReplaceHomepage()) {
     showFocusDashboard();
   } else {
     hideFocusDashboard();
@@ -339,8 +480,9 @@ function checkForHomepage() {
  */
 function showFocusDashboard() {
   let dashboard = document.getElementById('focus-mode-dashboard');
+  const created = !dashboard;
   
-  if (!dashboard) {
+  if (created) {
     dashboard = document.createElement('div');
     dashboard.id = 'focus-mode-dashboard';
     dashboard.className = 'focus-mode-dashboard';
@@ -356,6 +498,18 @@ function showFocusDashboard() {
         <h1 class="focus-title">Focus Mode Active</h1>
         <p class="focus-quote">"Stay focused. Build your future. One tutorial at a time."</p>
         
+        <div class="focus-goal" role="progressbar" aria-label="Daily goal" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <svg class="focus-goal-ring" viewBox="0 0 36 36" aria-hidden="true">
+            <circle class="focus-goal-track" cx="18" cy="18" r="16"></circle>
+            <circle class="focus-goal-fill" cx="18" cy="18" r="16" pathLength="100"></circle>
+          </svg>
+          <div class="focus-goal-text">
+            <span class="focus-goal-minutes">0m</span>
+            <span class="focus-goal-caption">of today's goal</span>
+          </div>
+        </div>
+        <p class="focus-goal-streak"></p>
+        
         <div class="focus-actions">
           <button class="focus-btn focus-btn-primary" id="focus-search-btn">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -383,7 +537,7 @@ function showFocusDashboard() {
           <div class="focus-tip">
             <div class="focus-tip-icon" style="background: rgba(59, 130, 246, 0.2);">🎯</div>
             <div class="focus-tip-title">Stay Consistent</div>
-            <div class="focus-tip-text">Build your streak by learning every day</div>
+            <div class="focus-tip-text">Build your streak by meeting your goal every day</div>
           </div>
           <div class="focus-tip">
             <div class="focus-tip-icon" style="background: rgba(251, 191, 36, 0.2);">⏱️</div>
@@ -410,7 +564,10 @@ function showFocusDashboard() {
     });
   }
   
+  // Called after every scan; only fetch progress when the dashboard appears
+  const appearing = created || dashboard.classList.contains('hidden');
   dashboard.classList.remove('hidden');
+  if (appearing) refreshDashboardGoal();
   
   // Hide YouTube's home content
   const homeContent = document.querySelector(SELECTORS.homeFeed);
@@ -419,6 +576,36 @@ function showFocusDashboard() {
   }
 }
 
+/**
+ * Fill the dashboard's goal ring and streak from today's stats, if the
+ * dashboard is showing
+ */
+async function refreshDashboardGoal() {
+  const dashboard = document.getElementById('focus-mode-dashboard');
+  if (!dashboard || dashboard.classList.contains('hidden')) return;
+  
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
+    if (!stats || !stats.dailyGoalMinutes) return;
+    
+    const percent = Math.round(stats.goalProgress * 100);
+    const goal = dashboard.querySelector('.focus-goal');
+    goal.setAttribute('aria-valuenow', percent);
+    goal.classList.toggle('met', percent >= 100);
+    // The circle is 100 long, so the offset is what's left in percent
+    dashboard.querySelector('.focus-goal-fill').style.strokeDashoffset = 100 - percent;
+    dashboard.querySelector('.focus-goal-minutes').textContent = `${Math.round(stats.educationalMinutes)}m`;
+    dashboard.querySelector('.focus-goal-caption').textContent = percent >= 100
+      ? `${stats.dailyGoalMinutes}m goal met today`
+      : `of your ${stats.dailyGoalMinutes}m goal today`;
+    dashboard.querySelector('.focus-goal-streak').textContent = stats.focusStreak > 0
+      ? `🔥 ${stats.focusStreak} day streak`
+      : 'Meet your goal today to start a streak';
+  } catch (error) {
+    console.error('[Focus Mode] Error loading goal progress:', error);
+  }
+}
+
 /**
  * Hide the Focus Mode Dashboard
  */
@@ -428,8 +615,8 @@ function hideFocusDashboard() {
     dashboard.classList.add('hidden');
   }
   
-  // Show YouTube content again if focus mode is off
-  if (!settings.focusModeEnabled) {
+  // Show YouTube content again if the homepage is no longer taken over
+  if (!shouldReplaceHomepage()) {
     const homeContent = document.querySelector(SELECTORS.homeFeed);
     if (homeContent) {
       homeContent.classList.remove('focus-hidden');
@@ -438,7 +625,8 @@ function hideFocusDashboard() {
 }
 
 /**
- * Main scanning and filtering function
+ * Scan the whole page. Used on load, after navigation and when settings
+ * change; everything else is scanned as it is added (scanPendingRoots).
  */
 function scanAndFilter() {
   if (!settings.focusModeEnabled) {
@@ -452,163 +640,447 @@ function scanAndFilter() {
   // Filter video content
   filterVideos();
   
-  // Track time on educational content
-  trackEducationalTime();
+  enforcePage();
 }
 
 /**
- * Hide all Shorts content
+ * Scan one added element: Shorts and video cards inside it, and the card
+ * it was added to
  */
-function hideShorts() {
-  const shortsElements = document.querySelectorAll(SELECTORS.shorts);
-  shortsElements.forEach(el => el.classList.add('focus-hidden'));
+function scanRoot(root) {
+  hideShorts(root);
+  filterVideos(getCardsIn(root));
+}
+
+/**
+ * Video cards inside `root`, plus the outermost card containing it (YouTube
+ * fills in titles and links after a card is attached)
+ */
+function getCardsIn(root) {
+  const cards = [...root.querySelectorAll(SELECTORS.videoRenderer)];
+  
+  let card = root.closest(SELECTORS.videoRenderer);
+  while (card && card.parentElement && card.parentElement.closest(SELECTORS.videoRenderer)) {
+    card = card.parentElement.closest(SELECTORS.videoRenderer);
+  }
+  if (card) cards.unshift(card);
+  
+  return cards;
+}
+
+/**
+ * Queue an idle-time scan of the pending roots, unless one is queued
+ */
+function scheduleScan() {
+  if (scanScheduled) return;
+  scanScheduled = true;
+  requestIdleCallback(scanPendingRoots, { timeout: SCAN_IDLE_TIMEOUT_MS });
+}
+
+/**
+ * Scan the elements added since the last pass. Roots left over when the
+ * idle period runs out wait for the next one, unless the timeout already
+ * passed.
+ */
+function scanPendingRoots(deadline) {
+  scanScheduled = false;
+  if (!settings.focusModeEnabled) {
+    pendingScanRoots.clear();
+    return;
+  }
+  
+  for (const root of pendingScanRoots) {
+    if (deadline.timeRemaining() <= 0 && !deadline.didTimeout) break;
+    pendingScanRoots.delete(root);
+    if (root.isConnected) scanRoot(root);
+  }
   
-  const shortsTab = document.querySelector(SELECTORS.shortsTab);
-  if (shortsTab) shortsTab.classList.add('focus-hidden');
+  enforcePage();
   
-  const shortsSection = document.querySelectorAll(SELECTORS.shortsSection);
-  shortsSection.forEach(el => el.classList.add('focus-hidden'));
+  if (pendingScanRoots.size > 0) scheduleScan();
+}
+
+/**
+ * Page-level checks, cheap enough to run after every scan: the watch page
+ * layout, page takeovers and the watch-time tracker
+ */
+function enforcePage() {
+  // Hide watch page distractions the profile turned off
+  applyWatchLayout();
+  
+  if (isStrictFiltering()) {
+    // Intercept Shorts pages, blocked videos opened directly and blocked searches
+    enforceShortsPage();
+    enforceWatchPage();
+    enforceSearchPage();
+  } else {
+    resetWatchPage();
+    removeShortsInterstitial();
+    resetSearchPage();
+  }
+  
+  // Track time on educational content
+  trackEducationalTime();
 }
 
 /**
- * Filter videos based on keywords
+ * Filter videos based on channel rules and keywords (every card on the page
+ * by default)
  */
-function filterVideos() {
-  const videos = document.querySelectorAll(SELECTORS.videoRenderer);
-  let blockedCount = 0;
+function filterVideos(videos = document.querySelectorAll(SELECTORS.videoRenderer)) {
+  const blockedEvents = [];
   
   videos.forEach(video => {
-    // Skip if already processed
-    if (video.dataset.focusProcessed === 'true') return;
-    video.dataset.focusProcessed = 'true';
+    // Related videos the profile doesn't filter; undo any earlier verdict
+    if (isUnfilteredRelatedVideo(video)) {
+      if (video.dataset.focusProcessed) resetVideoState(video);
+      return;
+    }
     
-    const titleEl = video.querySelector(SELECTORS.videoTitle);
-    const channelEl = video.querySelector(SELECTORS.channelName);
+    // Newer cards can wrap one another; the outermost card stands for both
+    if (video.parentElement && video.parentElement.closest(SELECTORS.videoRenderer)) return;
     
+    // Cards are attached before YouTube fills them in; judged once the title arrives
+    const titleEl = queryFirst(video, 'videoTitle');
     if (!titleEl) return;
     
-    const title = titleEl.textContent.toLowerCase();
-    const channel = channelEl ? channelEl.textContent.toLowerCase() : '';
-    const combinedText = `${title} ${channel}`;
+    // The card remembers which video it was judged as. YouTube recycles
+    // cards for other videos, so a different one starts over. Badges can
+    // arrive after the title, so with metadata rules they are part of it.
+    const title = titleEl.textContent.trim();
+    const videoId = getCardVideoId(video);
+    const metadata = (settings.metadataRules || []).length > 0 ? getCardMetadata(video) : null;
+    const key = (videoId || `title:${title}`) + (metadata ? `|${getMetadataSignature(metadata)}` : '');
+    if (video.dataset.focusProcessed === key) return;
+    if (video.dataset.focusProcessed) resetVideoState(video);
+    video.dataset.focusProcessed = key;
+    
+    const channelEl = queryFirst(video, 'channelName');
+    
+    const channel = getVideoChannel(video);
+    if (channel) {
+      channel.name = channelEl ? channelEl.textContent.trim() : '';
+    }
     
     // Check classification
-    const classification = classifyContent(combinedText);
+    const cached = videoId ? classificationCache.get(key) : null;
+    const classification = cached || classifyVideo(title, channel, metadata);
+    if (videoId && !cached) cacheClassification(key, classification);
     
-    if (classification === 'blocked') {
-      hideVideo(video);
-      blockedCount++;
-    } else if (classification === 'educational') {
-      markAsEducational(video);
+    if (classification.label === 'blocked') {
+      showBlockedCard(video, { videoId, title, channel, classification });
+      // Counted once per video, not each time the card is judged
+      if (markBlockCounted(videoId || `title:${title}`)) {
+        blockedEvents.push(createBlockedEvent(title, channel, classification));
+      }
+    } else {
+      if (classification.label === 'educational') {
+        markAsEducational(video, title);
+      }
+      // Allowing the channel would leave it to a hide rule that matched
+      if (channel && !classification.channelRule && !isHiddenByRule(classification)) {
+        addTrustButton(video, channel);
+      }
     }
   });
   
-  // Update blocked count in storage
-  if (blockedCount > 0) {
-    updateBlockedCount(blockedCount);
+  recordActivity(blockedEvents);
+}
+
+/**
+ * ID of the video a card links to, or null (channels, ads, or a card not
+ * filled in yet)
+ */
+function getCardVideoId(card) {
+  const link = card.querySelector('a[href*="/watch?v="], a[href*="/shorts/"]');
+  if (!link) return null;
+  
+  const url = new URL(link.href);
+  if (url.pathname.startsWith('/shorts/')) {
+    return url.pathname.split('/')[2] || null;
   }
+  return url.searchParams.get('v');
 }
 
 /**
- * Classify content as educational, blocked, or neutral
+ * What a card says about its video, for metadata rules: length and live or
+ * upcoming from the thumbnail badge, views (or viewers) from the metadata
+ * line. Category isn't on cards, so it is always null here.
  */
-function classifyContent(text) {
-  const lowerText = text.toLowerCase();
+function getCardMetadata(card) {
+  const badgeEl = queryFirst(card, 'cardDuration');
+  const badge = badgeEl ? badgeEl.textContent.trim() : '';
+  const overlay = card.querySelector('[overlay-style]');
+  const overlayStyle = overlay ? overlay.getAttribute('overlay-style') : '';
   
-  // Check blocked keywords first
-  for (const keyword of settings.blockedKeywords) {
-    if (lowerText.includes(keyword.toLowerCase())) {
-      return 'blocked';
+  const lineEl = queryFirst(card, 'cardMetadata');
+  const line = lineEl ? lineEl.textContent.replace(/\s+/g, ' ').trim() : '';
+  
+  return {
+    durationSeconds: parseDurationText(badge),
+    views: parseViewCount(line),
+    isLive: overlayStyle === 'LIVE' || /^live$/i.test(badge) || /\bwatching\b/i.test(line),
+    isUpcoming: overlayStyle === 'UPCOMING' || /^upcoming$/i.test(badge) || /\b(Premieres|Scheduled for)\b/.test(line),
+    category: null
+  };
+}
+
+/**
+ * Remember a video's verdict, dropping the oldest once the cache is full.
+ * `key` is the video ID, plus its metadata when metadata rules are in use.
+ */
+function cacheClassification(key, classification) {
+  if (classificationCache.size >= MAX_CACHED_CLASSIFICATIONS) {
+    classificationCache.delete(classificationCache.keys().next().value);
+  }
+  classificationCache.set(key, classification);
+}
+
+/**
+ * Remember that a block was recorded. Returns false if it already was.
+ */
+function markBlockCounted(key) {
+  if (countedBlocks.has(key)) return false;
+  if (countedBlocks.size >= MAX_CACHED_CLASSIFICATIONS) {
+    countedBlocks.delete(countedBlocks.values().next().value);
+  }
+  countedBlocks.add(key);
+  return true;
+}
+
+/**
+ * Settings a verdict depends on, as a string to compare
+ */
+function getClassificationSignature(source) {
+  return JSON.stringify([
+    source.allowedKeywords,
+    source.blockedKeywords,
+    source.channelRules,
+    source.metadataRules,
+    source.classificationThreshold,
+    source.classifierBackend
+  ]);
+}
+
+/**
+ * Drop every verdict after keywords, rules or the profile change,
+ * so the next scan judges every card again
+ */
+function forgetClassifications() {
+  classificationCache.clear();
+  document.querySelectorAll('[data-focus-processed]').forEach(resetVideoState);
+}
+
+/**
+ * Read the channel handle / ID from a renderer's channel link.
+ * Returns { handle, id } (either may be missing) or null.
+ */
+function getVideoChannel(root) {
+  for (const link of root.querySelectorAll(SELECTORS.channelLink)) {
+    const ref = parseChannelRef(link.getAttribute('href'));
+    if (ref) {
+      return ref.type === 'handle' ? { handle: ref.value } : { id: ref.value };
     }
   }
+  return null;
+}
+
+/**
+ * Classify a video by its channel, metadata rules and title.
+ * A blocked channel decides outright, and so does a matching hide rule;
+ * an allowed channel does unless a hide rule matches. Otherwise a matching
+ * allow rule is weighed in with the title's score (applyMetadataRule). `metadata` is what the page says about
+ * the video (see shared/metadata-rules.js), or null.
+ */
+function classifyVideo(title, channel, metadata = null) {
+  const channelMatch = findChannelRule(settings.channelRules, channel);
+  const channelVerdict = channelMatch && {
+    label: channelMatch.list === 'allowed' ? 'educational' : 'blocked',
+    score: 0,
+    threshold: settings.classificationThreshold,
+    matches: [],
+    channelRule: channelMatch
+  };
+  if (channelMatch && channelMatch.list === 'blocked') return channelVerdict;
   
-  // Check allowed keywords
-  for (const keyword of settings.allowedKeywords) {
-    if (lowerText.includes(keyword.toLowerCase())) {
-      return 'educational';
-    }
+  const metadataMatch = findMetadataRule(settings.metadataRules, metadata, Boolean(channelMatch));
+  
+  if (channelMatch) {
+    // An allowed channel has no score to weigh a rule against; hide rules
+    // still apply ("Hide live streams from allowed channels")
+    return metadataMatch && metadataMatch.action === 'block'
+      ? { ...channelVerdict, label: 'blocked', metadataRule: metadataMatch.rule }
+      : channelVerdict;
   }
   
-  return 'neutral';
+  const classification = classifyContent(title);
+  return metadataMatch ? applyMetadataRule(classification, metadataMatch) : classification;
 }
 
 /**
- * Hide a video element
+ * Whether a metadata hide rule counts against a classification
  */
-function hideVideo(video) {
-  video.classList.add('focus-hidden');
+function isHiddenByRule(classification) {
+  return Boolean(classification.metadataRule && classification.metadataRule.action === 'block');
 }
 
 /**
- * Mark video as educational
+ * Add a "trust this channel" button to a video card
  */
-function markAsEducational(video) {
-  if (video.querySelector('.focus-edu-badge')) return;
+function addTrustButton(video, channel) {
+  if (video.querySelector('.focus-trust-btn')) return;
   
-  const thumbnail = video.querySelector('ytd-thumbnail, #thumbnail');
-  if (thumbnail) {
-    thumbnail.style.position = 'relative';
-    const badge = document.createElement('div');
-    badge.className = 'focus-edu-badge';
-    badge.innerHTML = '✓ Educational';
-    thumbnail.appendChild(badge);
-  }
+  const thumbnail = video.querySelector(SELECTORS.thumbnail);
+  if (!thumbnail) return;
+  
+  const button = document.createElement('button');
+  button.className = 'focus-trust-btn';
+  button.type = 'button';
+  button.title = `Always allow ${channel.name || 'this channel'}`;
+  button.textContent = '★ Trust channel';
+  button.addEventListener('click', (e) => {
+    // The thumbnail is a link; don't navigate to the video
+    e.preventDefault();
+    e.stopPropagation();
+    trustChannel(channel);
+  });
+  
+  thumbnail.style.position = 'relative';
+  thumbnail.appendChild(button);
 }
 
 /**
- * Update blocked count in storage
+ * Teach the on-device model that `text` is educational or not ('blocked').
+ * Resolves to the background worker's response, or null if it failed.
  */
-async function updateBlockedCount(count) {
+async function sendClassifierFeedback(text, label) {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const currentSettings = result.focusSettings || settings;
-    currentSettings.stats = currentSettings.stats || {};
-    currentSettings.stats.blockedCount = (currentSettings.stats.blockedCount || 0) + count;
-    await chrome.storage.sync.set({ focusSettings: currentSettings });
+    const response = await chrome.runtime.sendMessage({ type: 'CLASSIFIER_FEEDBACK', text, label });
+    if (!response || !response.success) {
+      console.error('[Focus Mode] Could not save feedback:', response && response.error);
+    }
+    return response;
   } catch (error) {
-    console.error('[Focus Mode] Error updating blocked count:', error);
+    console.error('[Focus Mode] Error saving feedback:', error);
+    return null;
   }
 }
 
 /**
- * Track time spent on educational content
+ * Add a channel to the allowlist and re-evaluate its cards.
+ * Resolves to the background worker's response, or null if it failed.
  */
-let lastTrackTime = Date.now();
-function trackEducationalTime() {
-  // Only track on watch pages
-  if (!window.location.pathname.includes('/watch')) return;
-  
-  const videoTitle = document.querySelector('h1.ytd-video-primary-info-renderer, h1.ytd-watch-metadata');
-  if (!videoTitle) return;
+async function trustChannel(channel) {
+  const ref = channel.handle
+    ? { type: 'handle', value: channel.handle }
+    : { type: 'id', value: channel.id };
   
-  const title = videoTitle.textContent.toLowerCase();
-  const isEducational = settings.allowedKeywords.some(kw => title.includes(kw.toLowerCase()));
-  
-  if (isEducational) {
-    const now = Date.now();
-    const elapsed = Math.floor((now - lastTrackTime) / 60000); // minutes
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_CHANNEL_RULE',
+      list: 'allowed',
+      rule: { ...ref, name: channel.name || '' }
+    });
     
-    if (elapsed >= 1) {
-      updateEducationalTime(elapsed);
-      lastTrackTime = now;
+    if (!response || !response.success) {
+      console.error('[Focus Mode] Could not trust channel:', response && response.error);
+      return response;
     }
+    
+    // Cached verdicts for the channel's videos are stale, including ones
+    // not on screen
+    settings.channelRules = response.channelRules;
+    forgetClassifications();
+    console.log('[Focus Mode] Trusted channel', getChannelRuleKey(ref));
+    filterVideos();
+    return response;
+  } catch (error) {
+    console.error('[Focus Mode] Error trusting channel:', error);
+    return null;
   }
 }
 
 /**
- * Update educational time in storage
+ * Undo everything the filter did to a single card
  */
-async function updateEducationalTime(minutes) {
-  try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const currentSettings = result.focusSettings || settings;
-    currentSettings.stats = currentSettings.stats || {};
-    currentSettings.stats.educationalMinutes = (currentSettings.stats.educationalMinutes || 0) + minutes;
-    await chrome.storage.sync.set({ focusSettings: currentSettings });
-  } catch (error) {
-    console.error('[Focus Mode] Error updating educational time:', error);
+function resetVideoState(video) {
+  clearBlockedDisplay(video);
+  blockedCardDetails.delete(video);
+  video.querySelectorAll('.focus-edu-badge, .focus-trust-btn').forEach(el => el.remove());
+  video.removeAttribute('data-focus-processed');
+  video.removeAttribute('data-focus-revealed');
+}
+
+/**
+ * Classify content as educational, blocked, or neutral, with the backend
+ * chosen in settings (see text-classifier.js). The result keeps what
+ * decided it, so callers can explain the decision.
+ */
+function classifyContent(text) {
+  return classifyText(text, { settings, model: classifierModel });
+}
+
+/**
+ * Mark video as educational. With the on-device model, the badge can
+ * also tell the model it got this one wrong.
+ */
+function markAsEducational(video, title) {
+  if (video.querySelector('.focus-edu-badge')) return;
+  
+  const thumbnail = video.querySelector('ytd-thumbnail, #thumbnail');
+  if (thumbnail) {
+    thumbnail.style.position = 'relative';
+    const badge = document.createElement('div');
+    badge.className = 'focus-edu-badge';
+    badge.innerHTML = '✓ Educational';
+    
+    if (settings.classifierBackend === 'model') {
+      const button = document.createElement('button');
+      button.className = 'focus-edu-feedback';
+      button.type = 'button';
+      button.title = 'Not educational: teach the on-device model';
+      button.textContent = '✕';
+      button.addEventListener('click', async (e) => {
+        // The thumbnail is a link; don't navigate to the video
+        e.preventDefault();
+        e.stopPropagation();
+        const response = await sendClassifierFeedback(title, 'blocked');
+        if (response && response.success) badge.textContent = 'Noted';
+      });
+      badge.appendChild(button);
+    }
+    
+    thumbnail.appendChild(badge);
   }
 }
 
+/**
+ * Build a "video blocked" activity event
+ */
+function createBlockedEvent(title, channel, classification) {
+  return {
+    type: ACTIVITY_EVENTS.VIDEO_BLOCKED,
+    timestamp: Date.now(),
+    title,
+    channel: channel ? (channel.handle || channel.id) : null,
+    channelName: channel ? channel.name : null,
+    terms: classification.matches
+      .filter(hit => hit.list === 'blocked')
+      .map(hit => hit.term)
+  };
+}
+
+/**
+ * Send activity events to the background worker, which owns the log
+ */
+function recordActivity(events) {
+  if (events.length === 0) return;
+  
+  chrome.runtime.sendMessage({ type: 'RECORD_EVENTS', events }).catch(error => {
+    console.error('[Focus Mode] Error recording activity:', error);
+  });
+}
+
 /**
  * Remove all filters (when focus mode is disabled)
  */
@@ -616,11 +1088,23 @@ function removeAllFilters() {
   document.querySelectorAll('.focus-hidden').forEach(el => {
     el.classList.remove('focus-hidden');
   });
-  document.querySelectorAll('.focus-edu-badge').forEach(el => el.remove());
-  document.querySelectorAll('[data-focus-processed]').forEach(el => {
-    el.removeAttribute('data-focus-processed');
-  });
+  document.querySelectorAll('.focus-edu-badge, .focus-trust-btn').forEach(el => el.remove());
+  document.querySelectorAll('[data-focus-processed]').forEach(resetVideoState);
   hideFocusDashboard();
+  resetWatchPage();
+  resetWatchLayout();
+  removeShortsInterstitial();
+  resetSearchPage();
+}
+
+/**
+ * Judge a search as soon as it starts, so blocked results never show
+ */
+function onNavigateStart(event) {
+  const url = event.detail && event.detail.url;
+  if (url && isStrictFiltering()) {
+    enforceSearchPage(url);
+  }
 }
 
 /**
@@ -629,21 +1113,26 @@ function removeAllFilters() {
 function onNavigate() {
   console.log('[Focus Mode] Navigation detected');
   
-  // Reset processed flags for new content
-  document.querySelectorAll('[data-focus-processed]').forEach(el => {
-    el.removeAttribute('data-focus-processed');
-  });
-  
+  // Cards YouTube reused for other videos (a new search fills the old
+  // result cards) are told apart by video ID and judged again
   if (settings.focusModeEnabled) {
+    filterVideos();
+    
+    // Redirect Shorts right away instead of waiting for the scan
+    if (isStrictFiltering()) enforceShortsPage();
+    
     setTimeout(() => {
       scanAndFilter();
       checkForHomepage();
     }, 500);
+    
+    scheduleSelectorHealthCheck();
   }
 }
 
 /**
- * Set up mutation observer for dynamic content
+ * Set up mutation observer for dynamic content. Only what each batch adds
+ * is queued for scanning, never the whole page.
  */
 function setupObserver() {
   if (observer) observer.disconnect();
@@ -651,24 +1140,27 @@ function setupObserver() {
   observer = new MutationObserver((mutations) => {
     if (!settings.focusModeEnabled) return;
     
-    let shouldScan = false;
     for (const mutation of mutations) {
-      if (mutation.addedNodes.length > 0) {
-        shouldScan = true;
-        break;
+      if (mutation.type === 'attributes') {
+        // A Shorts flag or link set on an element already in the page
+        pendingScanRoots.add(mutation.target);
+        continue;
       }
+      mutation.addedNodes.forEach(node => {
+        // Text filled into an existing element counts as a change to it
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (element) pendingScanRoots.add(element);
+      });
     }
     
-    if (shouldScan) {
-      // Debounce scanning
-      clearTimeout(window.focusScanTimeout);
-      window.focusScanTimeout = setTimeout(scanAndFilter, 200);
-    }
+    if (pendingScanRoots.size > 0) scheduleScan();
   });
   
   observer.observe(document.body, {
     childList: true,
-    subtree: true
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['is-shorts', 'href']
   });
 }
 
@@ -677,7 +1169,18 @@ function setupObserver() {
  */
 function handleMessage(message, sender, sendResponse) {
   if (message.type === 'SETTINGS_UPDATED') {
-    settings = message.settings;
+    const previous = settings;
+    settings = normalizeSettings(message.settings);
+    
+    // Removing a blocked keyword should show the cards it hid right away,
+    // and the open video or search is judged again under the new rules
+    if (getClassificationSignature(previous) !== getClassificationSignature(settings)) {
+      forgetClassifications();
+      resetWatchPage();
+      resetSearchPage();
+    } else if (previous.blockedDisplay !== settings.blockedDisplay) {
+      refreshBlockedCards();
+    }
     
     if (settings.focusModeEnabled) {
       scanAndFilter();
@@ -687,10 +1190,30 @@ function handleMessage(message, sender, sendResponse) {
     }
     
     sendResponse({ success: true });
+  } else if (message.type === 'GET_BLOCKED_CARDS') {
+    sendResponse({ cards: getBlockedCards(), display: settings.blockedDisplay });
+  } else if (message.type === 'BLOCKED_CARD_ACTION') {
+    handleBlockedCardAction(message.action, message.key).then(sendResponse);
   }
   return true;
 }
 
+/**
+ * The background worker saved a retrained model: judge the page again.
+ * New activity moves the homepage dashboard's goal ring.
+ */
+function onStorageChanged(changes, area) {
+  if (area !== 'local') return;
+  if (Object.keys(changes).some(key => getActivityKeyDay(key) !== null)) refreshDashboardGoal();
+  if (!changes.classifierModel) return;
+  
+  classifierModel = changes.classifierModel.newValue || null;
+  if (settings.classifierBackend !== 'model') return;
+  
+  forgetClassifications();
+  if (settings.focusModeEnabled) scanAndFilter();
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initialize);
@@ -0,0 +1,50 @@
+/**
+ * YouTube Focus Mode - Page Bridge
+ * Runs in the page's own JavaScript world (not the content scripts'
+ * isolated one), where the player's data lives. On request it answers with
+ * the few fields of the current player response the classifier and the
+ * metadata rules read: the description, tags, category, length, views and
+ * whether it is live or upcoming. Nothing else crosses over.
+ */
+
+/**
+ * Pick the classifier's fields out of the current player response, or null
+ * before the player has one. `ytInitialPlayerResponse` only describes the
+ * first video loaded, so the player itself is asked first.
+ */
+function getPlayerDetails() {
+  const player = document.getElementById('movie_player');
+  const response = player && typeof player.getPlayerResponse === 'function'
+    ? player.getPlayerResponse()
+    : window.ytInitialPlayerResponse;
+  
+  const videoDetails = response && response.videoDetails;
+  if (!videoDetails || !videoDetails.videoId) return null;
+  
+  const microformat = response.microformat && response.microformat.playerMicroformatRenderer;
+  
+  return {
+    videoId: videoDetails.videoId,
+    description: videoDetails.shortDescription || '',
+    tags: Array.isArray(videoDetails.keywords) ? videoDetails.keywords : [],
+    category: (microformat && microformat.category) || '',
+    lengthSeconds: Number(videoDetails.lengthSeconds) || null,
+    viewCount: videoDetails.viewCount !== undefined ? Number(videoDetails.viewCount) : null,
+    isLive: Boolean(videoDetails.isLive),
+    isUpcoming: Boolean(videoDetails.isUpcoming)
+  };
+}
+
+window.addEventListener('focus-mode:request-player-details', () => {
+  let details = null;
+  try {
+    details = getPlayerDetails();
+  } catch (error) {
+    console.error('[Focus Mode] Error reading player response:', error);
+  }
+  
+  // Objects don't cross between worlds; a string does
+  window.dispatchEvent(new CustomEvent('focus-mode:player-details', {
+    detail: JSON.stringify(details)
+  }));
+});
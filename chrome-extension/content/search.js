@@ -0,0 +1,242 @@
+/**
+ * YouTube Focus Mode - Search Guard
+ * Classifies search queries on /results with the same engine as video
+ * titles. Blocked queries get a full-page interstitial, shown as soon as
+ * the search starts so results never appear; neutral queries get a
+ * dismissible "did you mean to study…" bar. Relies on the settings and
+ * classifier defined in content.js and the helpers in watch-page.js.
+ */
+
+// Search suggestions shown for a neutral query
+const MAX_SEARCH_SUGGESTIONS = 4;
+
+// Search state for the current tab
+const searchState = {
+  evaluatedQuery: null, // last query that was classified
+  allowedQuery: null, // blocked query the user chose to search anyway
+  dismissedQuery: null // query whose suggestion bar was closed
+};
+
+/**
+ * Get the search query of a /results URL (the current page by default)
+ */
+function getSearchQuery(url = window.location.href) {
+  const parsed = new URL(url, window.location.origin);
+  if (parsed.pathname !== '/results') return null;
+  
+  const query = (parsed.searchParams.get('search_query') || '').trim();
+  return query || null;
+}
+
+/**
+ * Build a /results URL for a query
+ */
+function getSearchUrl(query) {
+  return `/results?search_query=${encodeURIComponent(query)}`;
+}
+
+/**
+ * Classify the query of the current page, or of `url` when called as a
+ * search starts, and hold blocked queries behind the interstitial.
+ * Safe to call repeatedly; each query is judged once.
+ */
+function enforceSearchPage(url) {
+  const query = getSearchQuery(url);
+  
+  if (!query) {
+    resetSearchPage();
+    return;
+  }
+  
+  if (query === searchState.evaluatedQuery) return;
+  searchState.evaluatedQuery = query;
+  
+  const classification = classifyContent(query);
+  
+  if (classification.label === 'blocked' && query !== searchState.allowedQuery) {
+    removeSearchNudge();
+    showSearchInterstitial(query, classification);
+    if (!markBlockCounted(`search:${query}`)) return;
+    recordActivity([{
+      type: ACTIVITY_EVENTS.SEARCH_BLOCKED,
+      timestamp: Date.now(),
+      query,
+      terms: classification.matches.filter(hit => hit.list === 'blocked').map(hit => hit.term)
+    }]);
+    return;
+  }
+  
+  removeSearchInterstitial();
+  
+  if (classification.label === 'neutral' && settings.searchNudges &&
+      query !== searchState.dismissedQuery) {
+    const suggestions = getSearchSuggestions(query);
+    if (suggestions.length > 0) {
+      showSearchNudge(query, suggestions);
+      return;
+    }
+  }
+  removeSearchNudge();
+}
+
+/**
+ * Study-oriented versions of a neutral query built from the allowed
+ * keywords: the last word completed ("pyth" → "python") or an allowed
+ * keyword added ("guitar" → "guitar tutorial"). Only suggestions that
+ * would classify as educational are kept.
+ */
+function getSearchSuggestions(query) {
+  const lowerQuery = query.toLowerCase();
+  const words = lowerQuery.split(/\s+/);
+  const lastWord = words[words.length - 1];
+  
+  const terms = (settings.allowedKeywords || [])
+    .map(normalizeKeyword)
+    .filter(keyword => keyword.mode !== 'regex' && !lowerQuery.includes(keyword.term))
+    .map(keyword => keyword.term);
+  
+  const completions = lastWord.length >= 2
+    ? terms
+      .filter(term => term.startsWith(lastWord) && term !== lastWord)
+      .map(term => [...words.slice(0, -1), term].join(' '))
+    : [];
+  const additions = terms.map(term => `${query} ${term}`);
+  
+  const suggestions = [];
+  for (const suggestion of [...completions, ...additions]) {
+    if (suggestions.length >= MAX_SEARCH_SUGGESTIONS) break;
+    if (suggestions.includes(suggestion)) continue;
+    if (classifyContent(suggestion).label === 'educational') {
+      suggestions.push(suggestion);
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Show the full-page interstitial for a blocked query
+ */
+function showSearchInterstitial(query, classification) {
+  removeSearchInterstitial();
+  
+  const interstitial = document.createElement('div');
+  interstitial.id = 'focus-search-interstitial';
+  interstitial.className = 'focus-interstitial';
+  interstitial.innerHTML = `
+    <div class="focus-interstitial-content">
+      <div class="focus-interstitial-icon">🔍</div>
+      <h1 class="focus-interstitial-title">This search is outside your focus</h1>
+      <p class="focus-interstitial-video"></p>
+      <p class="focus-interstitial-reason"></p>
+      
+      <form class="focus-interstitial-option focus-search-form" data-action="search">
+        <input type="text" name="query" placeholder="Search for something to learn" required>
+        <button class="focus-btn focus-btn-primary" type="submit">Search</button>
+      </form>
+      
+      <div class="focus-actions">
+        <button class="focus-btn focus-btn-secondary" data-action="back">Go back</button>
+      </div>
+      
+      <div class="focus-interstitial-options">
+        <form class="focus-interstitial-option" data-action="anyway">
+          <input type="text" name="reason" placeholder="Why do you need this search?" required>
+          <button class="focus-btn focus-btn-secondary" type="submit">Search anyway</button>
+        </form>
+        <p class="focus-interstitial-error" hidden></p>
+      </div>
+    </div>
+  `;
+  
+  // Queries come from the URL, so never interpolate them as HTML
+  interstitial.querySelector('.focus-interstitial-video').textContent = `"${query}"`;
+  interstitial.querySelector('.focus-interstitial-reason').textContent =
+    describeClassification(classification);
+  
+  interstitial.querySelector('[data-action="back"]').addEventListener('click', leaveBlockedPage);
+  
+  interstitial.querySelector('[data-action="search"]').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const nextQuery = e.target.elements.query.value.trim();
+    if (nextQuery) window.location.href = getSearchUrl(nextQuery);
+  });
+  
+  interstitial.querySelector('[data-action="anyway"]').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const reason = e.target.elements.reason.value.trim();
+    if (!reason) return;
+    
+    // Refused during a strict session
+    const response = await chrome.runtime.sendMessage({
+      type: 'BLOCKED_CONTENT_OVERRIDDEN',
+      data: { kind: 'search', query, reason }
+    }).catch(() => null);
+    if (response && response.refused) {
+      showInterstitialError('focus-search-interstitial', response.error);
+      return;
+    }
+    
+    searchState.allowedQuery = query;
+    removeSearchInterstitial();
+  });
+  
+  document.body.appendChild(interstitial);
+  interstitial.querySelector('[name="query"]').focus();
+}
+
+/**
+ * Remove the blocked-search screen
+ */
+function removeSearchInterstitial() {
+  const interstitial = document.getElementById('focus-search-interstitial');
+  if (interstitial) interstitial.remove();
+}
+
+/**
+ * Show the "did you mean to study…" bar above the results
+ */
+function showSearchNudge(query, suggestions) {
+  removeSearchNudge();
+  
+  const nudge = document.createElement('div');
+  nudge.id = 'focus-search-nudge';
+  nudge.className = 'focus-search-nudge';
+  nudge.innerHTML = `
+    <span class="focus-search-nudge-label">Did you mean to study…</span>
+    <span class="focus-search-nudge-links"></span>
+    <button class="focus-search-nudge-close" type="button" aria-label="Dismiss">×</button>
+  `;
+  
+  const links = nudge.querySelector('.focus-search-nudge-links');
+  suggestions.forEach(suggestion => {
+    const link = document.createElement('a');
+    link.href = getSearchUrl(suggestion);
+    link.textContent = suggestion;
+    links.appendChild(link);
+  });
+  
+  nudge.querySelector('.focus-search-nudge-close').addEventListener('click', () => {
+    searchState.dismissedQuery = query;
+    removeSearchNudge();
+  });
+  
+  document.body.appendChild(nudge);
+}
+
+/**
+ * Remove the suggestion bar
+ */
+function removeSearchNudge() {
+  const nudge = document.getElementById('focus-search-nudge');
+  if (nudge) nudge.remove();
+}
+
+/**
+ * Undo all search enforcement (left the results page, focus mode off, or
+ * relaxed filtering)
+ */
+function resetSearchPage() {
+  removeSearchInterstitial();
+  removeSearchNudge();
+  searchState.evaluatedQuery = null;
+}
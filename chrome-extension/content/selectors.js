@@ -0,0 +1,187 @@
+/**
+ * YouTube Focus Mode - Selector Registry
+ * Every YouTube element the filters depend on, as a fallback chain of
+ * selectors: the current markup first, then older or newer variants. When
+ * YouTube renames a renderer, a later link in the chain keeps filtering
+ * alive, and a health check reports elements that match nothing on a page
+ * where they must exist, so the popup can say the filter is degraded
+ * instead of failing quietly. Loaded before the other content scripts.
+ */
+
+// Logical elements. `scope: 'card'` elements are looked up inside video
+// cards; `requiredOn` lists the page types where a page without them is
+// broken; `variants` chains list one renderer per page rather than fallbacks.
+const SELECTOR_REGISTRY = {
+  videoCard: {
+    label: 'Video cards',
+    variants: true,
+    chain: ['ytd-rich-item-renderer', 'ytd-video-renderer', 'ytd-compact-video-renderer', 'yt-lockup-view-model'],
+    requiredOn: ['home', 'search', 'subscriptions', 'watch']
+  },
+  videoTitle: {
+    label: 'Video titles',
+    scope: 'card',
+    chain: ['#video-title', '#video-title-link', 'a.yt-lockup-metadata-view-model__title', 'h3 a'],
+    requiredOn: ['home', 'search', 'subscriptions', 'watch']
+  },
+  channelName: {
+    label: 'Channel names',
+    scope: 'card',
+    chain: ['ytd-channel-name', '#channel-name', '.yt-content-metadata-view-model__metadata-row a[href^="/@"]'],
+    requiredOn: ['home', 'search', 'watch']
+  },
+  // Not on every page, so never reported missing
+  shortsShelf: {
+    label: 'Shorts shelves',
+    chain: [
+      'ytd-reel-shelf-renderer',
+      'ytd-rich-shelf-renderer[is-shorts]',
+      '[is-shorts]',
+      'ytd-rich-section-renderer:has([is-shorts])'
+    ],
+    requiredOn: []
+  },
+  watchTitle: {
+    label: 'Video title',
+    chain: ['h1.ytd-watch-metadata', 'h1.ytd-video-primary-info-renderer', '#title h1'],
+    requiredOn: ['watch']
+  },
+  watchOwner: {
+    label: 'Video channel',
+    chain: ['ytd-watch-metadata #owner', '#owner', 'ytd-video-owner-renderer'],
+    requiredOn: ['watch']
+  },
+  player: {
+    label: 'Video player',
+    chain: ['#movie_player video', 'video.html5-main-video'],
+    requiredOn: ['watch']
+  },
+  // Metadata rule input; cards without a badge (live, upcoming) or view
+  // count are normal
+  cardDuration: {
+    label: 'Video lengths',
+    scope: 'card',
+    chain: ['ytd-thumbnail-overlay-time-status-renderer', 'badge-shape .badge-shape-wiz__text', '.yt-badge-shape__text'],
+    requiredOn: []
+  },
+  cardMetadata: {
+    label: 'View counts',
+    scope: 'card',
+    chain: ['#metadata-line', '.yt-content-metadata-view-model__metadata-row:last-child', 'yt-content-metadata-view-model'],
+    requiredOn: []
+  },
+  // Extra classifier input; videos without a description or an opened
+  // transcript are normal
+  watchDescription: {
+    label: 'Video description',
+    chain: ['ytd-watch-metadata #description-inline-expander', '#description-inline-expander', 'ytd-video-secondary-info-renderer #description'],
+    requiredOn: []
+  },
+  transcriptSegment: {
+    label: 'Transcript',
+    chain: ['ytd-transcript-segment-renderer .segment-text', 'ytd-transcript-segment-renderer yt-formatted-string', 'transcript-segment-view-model span'],
+    requiredOn: []
+  }
+};
+
+// Time after a navigation before the page is checked, so it has rendered
+const SELECTOR_HEALTH_DELAY_MS = 5000;
+
+let selectorHealthTimer = null;
+
+/**
+ * The whole chain of a logical element as one selector list, for matching
+ * every variant at once (querySelectorAll, closest, CSS)
+ */
+function getSelector(name) {
+  return SELECTOR_REGISTRY[name].chain.join(', ');
+}
+
+/**
+ * First match of a logical element under `root`, trying the chain in order
+ * so the current markup wins over fallbacks
+ */
+function queryFirst(root, name) {
+  for (const selector of SELECTOR_REGISTRY[name].chain) {
+    const match = root.querySelector(selector);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Page type of the current URL, as used by `requiredOn`
+ */
+function getPageType() {
+  const path = window.location.pathname;
+  if (path === '/') return 'home';
+  if (path === '/results') return 'search';
+  if (path === '/watch') return 'watch';
+  if (path === '/feed/subscriptions') return 'subscriptions';
+  if (path.startsWith('/shorts/')) return 'shorts';
+  return 'other';
+}
+
+/**
+ * Index of the first chain link that matches anywhere under any of `roots`,
+ * or -1
+ */
+function findMatchingLink(name, roots) {
+  return SELECTOR_REGISTRY[name].chain.findIndex(selector => {
+    return roots.some(root => root.querySelector(selector));
+  });
+}
+
+/**
+ * Check every element required on this page type.
+ * Card-scoped elements are only judged when there are cards to look in.
+ * Returns { url, pageType, checkedAt, missing: [{ name, label }], fallbacks: [name] }.
+ */
+function checkSelectorHealth() {
+  const pageType = getPageType();
+  const cards = [...document.querySelectorAll(getSelector('videoCard'))];
+  const missing = [];
+  const fallbacks = [];
+  
+  Object.entries(SELECTOR_REGISTRY).forEach(([name, entry]) => {
+    if (!entry.requiredOn.includes(pageType)) return;
+    
+    const roots = entry.scope === 'card' ? cards : [document];
+    if (roots.length === 0) return;
+    
+    const link = findMatchingLink(name, roots);
+    if (link === -1) {
+      missing.push({ name, label: entry.label });
+    } else if (link > 0 && !entry.variants) {
+      fallbacks.push(name);
+    }
+  });
+  
+  return { url: window.location.href, pageType, checkedAt: Date.now(), missing, fallbacks };
+}
+
+/**
+ * Check the page once it has had time to render, replacing any pending check
+ */
+function scheduleSelectorHealthCheck() {
+  clearTimeout(selectorHealthTimer);
+  selectorHealthTimer = setTimeout(reportSelectorHealth, SELECTOR_HEALTH_DELAY_MS);
+}
+
+/**
+ * Send this page's health to the background worker, which keeps the latest
+ * report per tab for the popup
+ */
+function reportSelectorHealth() {
+  if (!settings.focusModeEnabled) return;
+  
+  const report = checkSelectorHealth();
+  if (report.missing.length > 0) {
+    console.warn('[Focus Mode] Filter degraded, nothing matches:', report.missing.map(item => item.name).join(', '));
+  }
+  if (report.fallbacks.length > 0) {
+    console.warn('[Focus Mode] Using fallback selectors for:', report.fallbacks.join(', '));
+  }
+  
+  chrome.runtime.sendMessage({ type: 'REPORT_SELECTOR_HEALTH', report }).catch(() => {});
+}
@@ -0,0 +1,111 @@
+/**
+ * YouTube Focus Mode - Shorts Removal
+ * Hides every Shorts surface and rewrites or blocks /shorts/<id> pages.
+ * Relies on the settings defined in content.js.
+ */
+
+// Shorts surfaces across feeds, guide, channel pages and search
+const SHORTS_SELECTORS = {
+  shelves: getSelector('shortsShelf'),
+  guideEntries: [
+    'ytd-mini-guide-entry-renderer[aria-label="Shorts"]',
+    'ytd-mini-guide-entry-renderer:has(a[title="Shorts"])',
+    'ytd-guide-entry-renderer:has(a[title="Shorts"])',
+    'ytd-guide-entry-renderer:has(a[href^="/shorts"])'
+  ].join(', '),
+  channelTabs: [
+    'yt-tab-shape[tab-title="Shorts"]',
+    'tp-yt-paper-tab:has(a[href$="/shorts"])'
+  ].join(', '),
+  // Individual Shorts mixed into search results and feeds
+  items: [
+    'ytd-reel-item-renderer',
+    'ytm-shorts-lockup-view-model',
+    'ytm-shorts-lockup-view-model-v2',
+    'grid-shelf-view-model',
+    'ytd-video-renderer:has(a[href^="/shorts/"])',
+    'ytd-rich-item-renderer:has(a[href^="/shorts/"])'
+  ].join(', '),
+  player: 'ytd-shorts video, #shorts-player video'
+};
+
+/**
+ * Hide Shorts content inside `root` (the whole page by default), and the
+ * Shorts item `root` was added to
+ */
+function hideShorts(root = document) {
+  const selectors = [
+    SHORTS_SELECTORS.shelves,
+    SHORTS_SELECTORS.guideEntries,
+    SHORTS_SELECTORS.channelTabs,
+    SHORTS_SELECTORS.items
+  ];
+  
+  selectors.forEach(selector => {
+    root.querySelectorAll(selector).forEach(el => el.classList.add('focus-hidden'));
+    const ancestor = root !== document && root.closest(selector);
+    if (ancestor) ancestor.classList.add('focus-hidden');
+  });
+}
+
+/**
+ * Redirect or block the current page if it is a Short.
+ * Called on load and after every `yt-navigate-finish`.
+ */
+function enforceShortsPage() {
+  const path = window.location.pathname;
+  
+  // /shorts/<id> → the regular watch page, or the blocked screen
+  const shortMatch = path.match(/^\/shorts\/([\w-]+)/);
+  if (shortMatch) {
+    if (settings.shortsMode === 'block') {
+      showShortsInterstitial();
+    } else {
+      window.location.replace(`/watch?v=${shortMatch[1]}`);
+    }
+    return;
+  }
+  
+  // A channel's Shorts tab → the same channel's Videos tab
+  const channelMatch = path.match(/^(\/(?:@[^/]+|channel\/[\w-]+|c\/[^/]+|user\/[^/]+))\/shorts\/?$/);
+  if (channelMatch) {
+    window.location.replace(`${channelMatch[1]}/videos`);
+    return;
+  }
+  
+  removeShortsInterstitial();
+}
+
+/**
+ * Cover a blocked Short and stop it from playing
+ */
+function showShortsInterstitial() {
+  document.querySelectorAll(SHORTS_SELECTORS.player).forEach(video => video.pause());
+  
+  if (document.getElementById('focus-shorts-interstitial')) return;
+  
+  const interstitial = document.createElement('div');
+  interstitial.id = 'focus-shorts-interstitial';
+  interstitial.className = 'focus-interstitial';
+  interstitial.innerHTML = `
+    <div class="focus-interstitial-content">
+      <div class="focus-interstitial-icon">🚫</div>
+      <h1 class="focus-interstitial-title">Shorts are blocked</h1>
+      <p class="focus-interstitial-reason">Short-form videos are turned off while Focus Mode is on.</p>
+      <div class="focus-actions">
+        <button class="focus-btn focus-btn-primary" data-action="back">Go back</button>
+      </div>
+    </div>
+  `;
+  
+  interstitial.querySelector('[data-action="back"]').addEventListener('click', leaveBlockedPage);
+  document.body.appendChild(interstitial);
+}
+
+/**
+ * Remove the blocked-Short screen
+ */
+function removeShortsInterstitial() {
+  const interstitial = document.getElementById('focus-shorts-interstitial');
+  if (interstitial) interstitial.remove();
+}
@@ -0,0 +1,181 @@
+/**
+ * YouTube Focus Mode - Watch Page Details
+ * Titles are often clickbait, so on /watch the classifier also reads the
+ * description, tags and category (from the player response, through
+ * page-bridge.js) and the transcript panel when it is open. Each source is
+ * scored with the keyword lists and may move the title's score by up to the
+ * threshold; the result records which source decided. Used by watch page
+ * enforcement and watch-time tracking. Relies on the classifier in content.js.
+ */
+
+// Sources besides the title, in the order they are weighed
+const WATCH_DETAIL_SOURCES = ['description', 'tags', 'category', 'transcript'];
+
+const WATCH_SOURCE_NAMES = {
+  channel: 'channel rule',
+  metadata: 'metadata rule',
+  title: 'title',
+  description: 'description',
+  tags: 'tags',
+  category: 'category',
+  transcript: 'transcript'
+};
+
+// The page bridge answers at once; no answer means it isn't running
+const PLAYER_DETAILS_TIMEOUT_MS = 300;
+
+// Long transcripts are cut here to keep matching cheap
+const MAX_TRANSCRIPT_CHARS = 20000;
+
+// Player response fields of the last video the bridge described
+let playerDetails = null;
+
+/**
+ * Ask the page bridge for the player response fields of `videoId`.
+ * Resolves to { videoId, description, tags, category, lengthSeconds,
+ * viewCount, isLive, isUpcoming }, or null when the
+ * player is still on another video or the bridge didn't answer.
+ */
+function requestPlayerDetails(videoId) {
+  if (playerDetails && playerDetails.videoId === videoId) {
+    return Promise.resolve(playerDetails);
+  }
+  
+  return new Promise(resolve => {
+    const finish = (details) => {
+      clearTimeout(timer);
+      window.removeEventListener('focus-mode:player-details', onDetails);
+      resolve(details);
+    };
+    
+    const onDetails = (event) => {
+      let details = null;
+      try {
+        details = JSON.parse(event.detail);
+      } catch (error) {
+        console.error('[Focus Mode] Unreadable player details:', error);
+      }
+      
+      if (details && details.videoId === videoId) {
+        playerDetails = details;
+        finish(details);
+      } else {
+        finish(null);
+      }
+    };
+    
+    const timer = setTimeout(() => finish(null), PLAYER_DETAILS_TIMEOUT_MS);
+    window.addEventListener('focus-mode:player-details', onDetails);
+    window.dispatchEvent(new CustomEvent('focus-mode:request-player-details'));
+  });
+}
+
+/**
+ * Text of each source for `videoId`, '' where it isn't available, and its
+ * metadata for metadata rules (null until the player details are in).
+ * Reads the player details already fetched, falling back to the
+ * description on the page.
+ */
+function getWatchDetails(videoId) {
+  const player = playerDetails && playerDetails.videoId === videoId ? playerDetails : null;
+  const descriptionEl = queryFirst(document, 'watchDescription');
+  
+  return {
+    description: (player && player.description) || (descriptionEl ? descriptionEl.textContent.trim() : ''),
+    tags: player ? player.tags.join(', ') : '',
+    category: player ? player.category : '',
+    transcript: readTranscript(),
+    metadata: player ? {
+      durationSeconds: player.lengthSeconds,
+      views: player.viewCount,
+      isLive: player.isLive,
+      isUpcoming: player.isUpcoming,
+      category: player.category || null
+    } : null
+  };
+}
+
+/**
+ * Text of the transcript panel, if it has been opened
+ */
+function readTranscript() {
+  const segments = document.querySelectorAll(getSelector('transcriptSegment'));
+  
+  let text = '';
+  for (const segment of segments) {
+    if (text.length >= MAX_TRANSCRIPT_CHARS) break;
+    text += `${segment.textContent.trim()} `;
+  }
+  
+  return text.slice(0, MAX_TRANSCRIPT_CHARS).trim();
+}
+
+/**
+ * Classify the current /watch video from its title, channel and details.
+ * Channel rules and hide rules still decide alone. Otherwise every source is
+ * scored like a title; each one besides the title counts for at most
+ * ±threshold, so a long transcript can't outvote everything else by itself. Matches are
+ * tagged with their `source`, and `decidedBy` names the source that
+ * changed the title's verdict ('title' when none did).
+ */
+function classifyWatchVideo(videoId, title, channel) {
+  const details = getWatchDetails(videoId);
+  const titleResult = classifyVideo(title, channel, details.metadata);
+  if (titleResult.channelRule || isHiddenByRule(titleResult)) {
+    return { ...titleResult, decidedBy: titleResult.metadataRule ? 'metadata' : 'channel' };
+  }
+  
+  // An allow rule is weighed in as a part of its own
+  const { threshold, metadataScore = 0 } = titleResult;
+  const titleScore = titleResult.score - metadataScore;
+  const parts = [{ source: 'title', result: titleResult, contribution: titleScore }];
+  if (metadataScore) {
+    parts.push({ source: 'metadata', result: { matches: [] }, contribution: metadataScore });
+  }
+  
+  WATCH_DETAIL_SOURCES.forEach(source => {
+    if (!details[source]) return;
+    
+    const result = classifyContent(details[source]);
+    if (result.matches.length === 0) return;
+    
+    parts.push({ source, result, contribution: Math.max(-threshold, Math.min(threshold, result.score)) });
+  });
+  
+  const score = parts.reduce((total, part) => total + part.contribution, 0);
+  
+  let label = 'neutral';
+  if (score <= -threshold) {
+    label = 'blocked';
+  } else if (score >= threshold) {
+    label = 'educational';
+  }
+  
+  return {
+    label,
+    score,
+    threshold,
+    matches: parts.flatMap(({ source, result }) => result.matches.map(hit => ({ ...hit, source }))),
+    backend: titleResult.backend,
+    metadataRule: titleResult.metadataRule,
+    decidedBy: findDecidingSource(parts, label, getScoreLabel(titleScore, threshold))
+  };
+}
+
+/**
+ * The source that pulled hardest towards `label`, when the title alone
+ * would have been judged differently
+ */
+function findDecidingSource(parts, label, titleLabel) {
+  if (label === titleLabel) return 'title';
+  
+  // Towards neutral means away from what the title said
+  let direction = label === 'educational' ? 1 : -1;
+  if (label === 'neutral') direction = titleLabel === 'blocked' ? 1 : -1;
+  
+  const deciding = parts
+    .filter(part => part.source !== 'title')
+    .reduce((best, part) => (part.contribution * direction > best.contribution * direction ? part : best));
+  
+  return deciding.source;
+}
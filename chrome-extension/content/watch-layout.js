@@ -0,0 +1,109 @@
+/**
+ * YouTube Focus Mode - Watch Page Layout
+ * Removes the distractions around the video on /watch — related videos,
+ * comments, end-screen cards, live chat, merch shelves — and keeps autoplay
+ * off, following the profile's `watchPage` options. Elements are hidden by
+ * classes on <html> matched by one stylesheet, so whatever YouTube
+ * re-renders stays hidden without another scan. Relies on the settings and
+ * selectors defined in content.js.
+ */
+
+// Class on <html> and the elements it hides, per watch page toggle
+const WATCH_LAYOUT_TOGGLES = {
+  hideComments: {
+    className: 'focus-hide-comments',
+    selector: 'ytd-watch-flexy #comments, ytd-comments#comments'
+  },
+  hideEndScreen: {
+    className: 'focus-hide-end-screen',
+    selector: '.ytp-ce-element, .ytp-endscreen-content, .ytp-cards-teaser, .ytp-cards-button'
+  },
+  disableAutoplay: {
+    className: 'focus-no-autoplay',
+    selector: 'button[data-tooltip-target-id="ytp-autonav-toggle-button"], .ytp-autonav-endscreen-countdown-overlay'
+  },
+  hideLiveChat: {
+    className: 'focus-hide-live-chat',
+    selector: 'ytd-watch-flexy #chat-container, ytd-watch-flexy #chat, ytd-live-chat-frame'
+  },
+  hideMerch: {
+    className: 'focus-hide-merch',
+    selector: 'ytd-merch-shelf-renderer, ytd-watch-flexy #ticket-shelf'
+  }
+};
+
+// Class on <html> while related videos are hidden outright
+const RELATED_HIDDEN_CLASS = 'focus-hide-related';
+
+/**
+ * Inject the stylesheet hiding each toggle's elements while its class is set
+ */
+function injectWatchLayoutStyles() {
+  if (document.getElementById('focus-watch-layout-styles')) return;
+  
+  const rules = [
+    ...Object.values(WATCH_LAYOUT_TOGGLES),
+    { className: RELATED_HIDDEN_CLASS, selector: `ytd-watch-flexy #related, ${SELECTORS.recommendations}` }
+  ].map(({ className, selector }) => {
+    const scoped = selector.split(',').map(part => `html.${className} ${part.trim()}`);
+    return `${scoped.join(',\n')} {\n  display: none !important;\n}`;
+  });
+  
+  const style = document.createElement('style');
+  style.id = 'focus-watch-layout-styles';
+  style.textContent = rules.join('\n\n');
+  document.head.appendChild(style);
+}
+
+/**
+ * Apply the profile's watch page options. They take over the page, so only
+ * strict filtering uses them.
+ */
+function applyWatchLayout() {
+  const options = isStrictFiltering() ? settings.watchPage : null;
+  if (!options) {
+    resetWatchLayout();
+    return;
+  }
+  
+  injectWatchLayoutStyles();
+  
+  const root = document.documentElement;
+  Object.entries(WATCH_LAYOUT_TOGGLES).forEach(([key, { className }]) => {
+    root.classList.toggle(className, options[key] === true);
+  });
+  root.classList.toggle(RELATED_HIDDEN_CLASS, options.relatedVideos === 'hide');
+  
+  if (options.disableAutoplay) turnOffAutoplay();
+}
+
+/**
+ * Switch off YouTube's own autoplay toggle. Clicking it (rather than just
+ * hiding it) also makes YouTube remember the choice.
+ */
+function turnOffAutoplay() {
+  const toggle = document.querySelector('.ytp-autonav-toggle-button[aria-checked="true"]');
+  if (!toggle) return;
+  
+  toggle.click();
+  console.log('[Focus Mode] Turned off autoplay');
+}
+
+/**
+ * Is this card in the related videos column while the profile leaves that
+ * column unfiltered?
+ */
+function isUnfilteredRelatedVideo(video) {
+  return Boolean(settings.watchPage) &&
+    settings.watchPage.relatedVideos === 'show' &&
+    Boolean(video.closest(`#related, ${SELECTORS.recommendations}`));
+}
+
+/**
+ * Show everything the watch page options hid
+ */
+function resetWatchLayout() {
+  const root = document.documentElement;
+  Object.values(WATCH_LAYOUT_TOGGLES).forEach(({ className }) => root.classList.remove(className));
+  root.classList.remove(RELATED_HIDDEN_CLASS);
+}
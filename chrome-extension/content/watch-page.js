@@ -0,0 +1,326 @@
+/**
+ * YouTube Focus Mode - Watch Page Enforcement
+ * Intercepts blocked videos opened directly on /watch (links, history,
+ * search) with a full-page interstitial. Relies on the settings and
+ * classifier defined in content.js and watch-details.js.
+ */
+
+// Watch page selectors
+const WATCH_SELECTORS = {
+  watchFlexy: 'ytd-watch-flexy',
+  title: getSelector('watchTitle'),
+  owner: getSelector('watchOwner'),
+  player: getSelector('player')
+};
+
+// Enforcement state for the current tab
+const watchState = {
+  evaluatedVideoId: null, // last video ID that was classified
+  blockedVideoId: null, // video currently held behind the interstitial
+  pausedPlayer: null
+};
+
+/**
+ * Get the video ID of the current /watch page
+ */
+function getWatchVideoId() {
+  if (window.location.pathname !== '/watch') return null;
+  return new URLSearchParams(window.location.search).get('v');
+}
+
+/**
+ * Classify the current /watch video and hold it behind the interstitial
+ * when it is blocked. Safe to call repeatedly; each video is judged once.
+ */
+async function enforceWatchPage() {
+  const videoId = getWatchVideoId();
+  
+  if (!videoId) {
+    removeWatchInterstitial();
+    watchState.evaluatedVideoId = null;
+    return;
+  }
+  
+  if (videoId === watchState.blockedVideoId) {
+    pauseWatchPlayer();
+    return;
+  }
+  
+  // "Allow once" also lands here: the video stays evaluated until the user
+  // moves on to another video, then it is judged afresh next time
+  if (videoId === watchState.evaluatedVideoId) return;
+  
+  const title = getReadyWatchTitle(videoId);
+  if (!title) return;
+  
+  watchState.evaluatedVideoId = videoId;
+  removeWatchInterstitial();
+  
+  await requestPlayerDetails(videoId);
+  if (getWatchVideoId() !== videoId) return;
+  
+  const channel = getWatchChannel();
+  const classification = classifyWatchVideo(videoId, title, channel);
+  
+  if (classification.label !== 'blocked') return;
+  if (await isWatchBypassActive()) return;
+  
+  // The user may have navigated away while storage was read
+  if (getWatchVideoId() !== videoId) return;
+  
+  watchState.blockedVideoId = videoId;
+  pauseWatchPlayer();
+  showWatchInterstitial({ videoId, title, classification });
+  
+  // Judged again when the settings change; reported only the first time
+  if (!markBlockCounted(`watch:${videoId}`)) return;
+  
+  chrome.runtime.sendMessage({
+    type: 'BLOCKED_CONTENT_ACCESSED',
+    data: {
+      videoId,
+      title,
+      channel,
+      score: classification.score,
+      matches: classification.matches,
+      decidedBy: classification.decidedBy
+    }
+  }).catch(() => {});
+}
+
+/**
+ * Get the title of `videoId` once the watch page is showing it.
+ * After SPA navigation the title still shows the previous video for a
+ * moment, so this returns null until the page has switched over.
+ */
+function getReadyWatchTitle(videoId) {
+  const flexy = document.querySelector(WATCH_SELECTORS.watchFlexy);
+  const titleEl = document.querySelector(WATCH_SELECTORS.title);
+  if (!flexy || flexy.getAttribute('video-id') !== videoId || !titleEl) return null;
+  
+  return titleEl.textContent.trim() || null;
+}
+
+/**
+ * Read the current video's channel from the owner section.
+ * Returns { handle, id, name } (handle or id may be missing) or null.
+ */
+function getWatchChannel() {
+  const ownerEl = document.querySelector(WATCH_SELECTORS.owner);
+  const channel = ownerEl ? getVideoChannel(ownerEl) : null;
+  if (channel) {
+    const nameEl = ownerEl.querySelector(SELECTORS.channelName);
+    channel.name = nameEl ? nameEl.textContent.trim() : '';
+  }
+  return channel;
+}
+
+/**
+ * Check whether an "Allow for N minutes" bypass is still running. The
+ * background worker decides, since a strict session sets it aside.
+ */
+async function isWatchBypassActive() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_WATCH_BYPASS' });
+    return Boolean(response && response.active);
+  } catch (error) {
+    console.error('[Focus Mode] Error reading watch bypass:', error);
+    return false;
+  }
+}
+
+/**
+ * Pause the player and keep it paused while the interstitial is up
+ */
+function pauseWatchPlayer() {
+  const player = document.querySelector(WATCH_SELECTORS.player);
+  if (!player) return;
+  
+  player.pause();
+  
+  if (watchState.pausedPlayer !== player) {
+    releaseWatchPlayer();
+    player.addEventListener('play', onBlockedPlay);
+    watchState.pausedPlayer = player;
+  }
+}
+
+/**
+ * Stop holding the player
+ */
+function releaseWatchPlayer() {
+  if (watchState.pausedPlayer) {
+    watchState.pausedPlayer.removeEventListener('play', onBlockedPlay);
+    watchState.pausedPlayer = null;
+  }
+}
+
+/**
+ * Autoplay and keyboard shortcuts can restart playback; undo that
+ */
+function onBlockedPlay(event) {
+  if (watchState.blockedVideoId) {
+    event.target.pause();
+  }
+}
+
+/**
+ * Describe why a video was blocked, for display
+ */
+function describeClassification(classification) {
+  const rule = classification.metadataRule;
+  const ruleText = rule ? `"${describeMetadataRule(rule)}"` : null;
+  if (classification.channelRule) {
+    return rule ? `The channel is allowed, but your rule ${ruleText} matched.` : 'This channel is on your blocklist.';
+  }
+  if (isHiddenByRule(classification)) {
+    return `Your rule ${ruleText} matched.`;
+  }
+  
+  // Watch page classifications say where each term was found
+  const terms = classification.matches
+    .filter(hit => hit.list === 'blocked')
+    .map(hit => (hit.source && hit.source !== 'title'
+      ? `"${hit.term}" in the ${WATCH_SOURCE_NAMES[hit.source]}`
+      : `"${hit.term}"`));
+  
+  let reason = terms.length > 0
+    ? `Matched blocked keywords: ${terms.join(', ')} (score ${classification.score}).`
+    : `Score ${classification.score} is below the threshold.`;
+  if (classification.backend === 'model') {
+    reason = terms.length > 0
+      ? `The on-device model judged it not educational, mostly for ${terms.join(', ')} (score ${classification.score}).`
+      : `The on-device model judged it not educational (score ${classification.score}).`;
+  }
+  
+  // An allow rule was weighed in and outweighed
+  if (rule) {
+    reason = `${reason} That outweighed your rule ${ruleText}.`;
+  }
+  
+  return classification.decidedBy && !['title', 'metadata'].includes(classification.decidedBy)
+    ? `${reason} Decided by the ${WATCH_SOURCE_NAMES[classification.decidedBy]}, not the title.`
+    : reason;
+}
+
+/**
+ * Show the full-page interstitial for a blocked video
+ */
+function showWatchInterstitial({ videoId, title, classification }) {
+  removeWatchInterstitial();
+  
+  const interstitial = document.createElement('div');
+  interstitial.id = 'focus-watch-interstitial';
+  interstitial.className = 'focus-interstitial';
+  interstitial.innerHTML = `
+    <div class="focus-interstitial-content">
+      <div class="focus-interstitial-icon">🎯</div>
+      <h1 class="focus-interstitial-title">This video is outside your focus</h1>
+      <p class="focus-interstitial-video"></p>
+      <p class="focus-interstitial-reason"></p>
+      
+      <div class="focus-actions">
+        <button class="focus-btn focus-btn-primary" data-action="back">Go back</button>
+      </div>
+      
+      <div class="focus-interstitial-options">
+        <form class="focus-interstitial-option" data-action="once">
+          <input type="text" name="reason" placeholder="Why do you need this video?" required>
+          <button class="focus-btn focus-btn-secondary" type="submit">Allow once</button>
+        </form>
+        <form class="focus-interstitial-option" data-action="timed">
+          <label>
+            Allow all videos for
+            <input type="number" name="minutes" min="${WATCH_BYPASS_MINUTES_LIMITS[0]}" max="${WATCH_BYPASS_MINUTES_LIMITS[1]}" value="10" required>
+            minutes
+          </label>
+          <button class="focus-btn focus-btn-secondary" type="submit">Allow</button>
+        </form>
+        <p class="focus-interstitial-error" hidden></p>
+      </div>
+    </div>
+  `;
+  
+  // Titles come from the page, so never interpolate them as HTML
+  interstitial.querySelector('.focus-interstitial-video').textContent = title;
+  interstitial.querySelector('.focus-interstitial-reason').textContent =
+    describeClassification(classification);
+  
+  interstitial.querySelector('[data-action="back"]').addEventListener('click', leaveBlockedPage);
+  
+  interstitial.querySelector('[data-action="once"]').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const reason = e.target.elements.reason.value.trim();
+    if (!reason) return;
+    allowBlockedVideo({ videoId, title, kind: 'once', reason });
+  });
+  
+  interstitial.querySelector('[data-action="timed"]').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const minutes = getWatchBypassMinutes(Number(e.target.elements.minutes.value));
+    if (minutes === null) return;
+    allowBlockedVideo({ videoId, title, kind: 'timed', minutes });
+  });
+  
+  document.body.appendChild(interstitial);
+}
+
+/**
+ * Remove the interstitial and release the player
+ */
+function removeWatchInterstitial() {
+  const interstitial = document.getElementById('focus-watch-interstitial');
+  if (interstitial) interstitial.remove();
+  
+  watchState.blockedVideoId = null;
+  releaseWatchPlayer();
+}
+
+/**
+ * Record the override with the background worker and let the video play.
+ * Waits for the background's answer, since a strict session refuses
+ * overrides.
+ */
+async function allowBlockedVideo(override) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'BLOCKED_CONTENT_OVERRIDDEN',
+    data: override
+  }).catch(() => null);
+  
+  if (response && response.refused) {
+    showInterstitialError('focus-watch-interstitial', response.error);
+    return;
+  }
+  
+  removeWatchInterstitial();
+}
+
+/**
+ * Explain on an interstitial why an override was refused
+ */
+function showInterstitialError(interstitialId, message) {
+  const error = document.querySelector(`#${interstitialId} .focus-interstitial-error`);
+  if (!error) return;
+  error.textContent = message;
+  error.hidden = false;
+}
+
+/**
+ * "Go back" from a blocked page
+ */
+function leaveBlockedPage() {
+  // Opened in a fresh tab there is nothing to go back to
+  if (window.history.length > 1) {
+    window.history.back();
+  } else {
+    window.location.href = '/';
+  }
+}
+
+/**
+ * Undo all watch page enforcement (focus mode turned off)
+ */
+function resetWatchPage() {
+  removeWatchInterstitial();
+  watchState.evaluatedVideoId = null;
+}
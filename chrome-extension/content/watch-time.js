@@ -0,0 +1,250 @@
+/**
+ * YouTube Focus Mode - Watch Time Tracking
+ * Measures real playback time from the <video> element's events and
+ * attributes it to the video being watched. Paused videos, hidden tabs
+ * and ads are not counted. Relies on content.js, watch-page.js and
+ * watch-details.js.
+ */
+
+// Flush accumulated watch time at least this often while a video plays
+const WATCH_FLUSH_SECONDS = 60;
+
+// Gaps between timeupdate ticks longer than this are not counted
+// (timeupdate fires about 4 times a second while playing)
+const MAX_TICK_SECONDS = 2;
+
+const AD_PLAYER_SELECTOR = '.html5-video-player.ad-showing';
+
+// Tracking state for the current tab
+const watchTracker = {
+  video: null,     // <video> element the listeners are attached to
+  session: null,   // the video currently being watched (see startWatchSession)
+  lastTick: null   // performance.now() of the last counted tick, null when not counting
+};
+
+/**
+ * Attach the tracker to the page's <video> element if needed.
+ * Called on every scan; YouTube reuses one element across SPA navigation.
+ */
+function trackEducationalTime() {
+  const video = document.querySelector(WATCH_SELECTORS.player);
+  if (!video || video === watchTracker.video) return;
+  
+  detachWatchTracker();
+  
+  video.addEventListener('play', onWatchPlay);
+  video.addEventListener('pause', onWatchPause);
+  video.addEventListener('ratechange', onWatchRateChange);
+  video.addEventListener('ended', onWatchEnded);
+  video.addEventListener('timeupdate', onWatchTimeUpdate);
+  watchTracker.video = video;
+  
+  if (!video.paused) onWatchPlay();
+}
+
+/**
+ * Remove listeners from the previous <video> element
+ */
+function detachWatchTracker() {
+  const video = watchTracker.video;
+  if (!video) return;
+  
+  flushWatchSession(true);
+  video.removeEventListener('play', onWatchPlay);
+  video.removeEventListener('pause', onWatchPause);
+  video.removeEventListener('ratechange', onWatchRateChange);
+  video.removeEventListener('ended', onWatchEnded);
+  video.removeEventListener('timeupdate', onWatchTimeUpdate);
+  watchTracker.video = null;
+}
+
+/**
+ * Start counting from now
+ */
+function onWatchPlay() {
+  watchTracker.lastTick = performance.now();
+}
+
+/**
+ * Stop counting and save what was watched
+ */
+function onWatchPause() {
+  countWatchTick();
+  watchTracker.lastTick = null;
+  flushWatchSession(false);
+}
+
+/**
+ * Close the current interval at the old rate before continuing
+ */
+function onWatchRateChange() {
+  countWatchTick();
+}
+
+/**
+ * The video finished: save it, including its completion
+ */
+function onWatchEnded() {
+  countWatchTick();
+  watchTracker.lastTick = null;
+  flushWatchSession(true);
+}
+
+/**
+ * Count the time since the last tick while the video plays
+ */
+function onWatchTimeUpdate() {
+  countWatchTick();
+  
+  const session = watchTracker.session;
+  if (session && session.pendingSeconds >= WATCH_FLUSH_SECONDS) {
+    flushWatchSession(false);
+  }
+}
+
+/**
+ * Whether playback right now should be counted
+ */
+function isCountablePlayback(video) {
+  return !video.paused &&
+    !document.hidden &&
+    settings.focusModeEnabled &&
+    !document.querySelector(AD_PLAYER_SELECTOR);
+}
+
+/**
+ * Add the wall-clock time since the last tick to the current session
+ */
+function countWatchTick() {
+  const video = watchTracker.video;
+  const now = performance.now();
+  const lastTick = watchTracker.lastTick;
+  
+  if (!video) return;
+  watchTracker.lastTick = video.paused ? null : now;
+  
+  const videoId = getWatchVideoId();
+  if (!videoId) return;
+  
+  // SPA navigation to another video: close out the previous one first
+  if (!watchTracker.session || watchTracker.session.videoId !== videoId) {
+    flushWatchSession(true);
+    watchTracker.session = startWatchSession(videoId);
+  }
+  
+  const session = watchTracker.session;
+  const position = video.currentTime;
+  
+  if (lastTick !== null && isCountablePlayback(video)) {
+    const elapsed = (now - lastTick) / 1000;
+    if (elapsed > 0 && elapsed <= MAX_TICK_SECONDS) {
+      session.pendingSeconds += elapsed;
+      
+      // Content progress for completion; seeks jump further than a tick can play
+      const progressed = position - session.lastPosition;
+      if (progressed > 0 && progressed <= elapsed * video.playbackRate + 0.5) {
+        session.contentSeconds += progressed;
+      }
+    }
+  }
+  
+  session.lastPosition = position;
+  if (Number.isFinite(video.duration) && video.duration > 0) {
+    session.duration = video.duration;
+  }
+}
+
+/**
+ * Begin tracking a new video
+ */
+function startWatchSession(videoId) {
+  // Fetched now so the description and tags are ready when the time is recorded
+  requestPlayerDetails(videoId);
+  
+  return {
+    videoId,
+    classification: null,
+    title: null,
+    channel: null,
+    pendingSeconds: 0,   // watched but not yet recorded
+    contentSeconds: 0,   // seconds of the video actually played (for completion)
+    lastPosition: watchTracker.video ? watchTracker.video.currentTime : 0,
+    duration: null
+  };
+}
+
+/**
+ * Classify the session's video once its title is on the page
+ */
+function classifyWatchSession(session) {
+  if (session.classification) return true;
+  
+  const title = getReadyWatchTitle(session.videoId);
+  if (!title) return false;
+  
+  session.title = title;
+  session.channel = getWatchChannel();
+  session.classification = classifyWatchVideo(session.videoId, title, session.channel);
+  return true;
+}
+
+/**
+ * Record the session's pending watch time as an activity event.
+ * `final` means the session is ending (navigation, video ended, tab closing).
+ */
+function flushWatchSession(final) {
+  const session = watchTracker.session;
+  if (!session) return;
+  
+  const seconds = Math.round(session.pendingSeconds);
+  
+  if (seconds >= 1 && classifyWatchSession(session)) {
+    const { classification, channel } = session;
+    
+    recordActivity([{
+      type: ACTIVITY_EVENTS.VIDEO_WATCHED,
+      timestamp: Date.now(),
+      seconds,
+      label: classification.label,
+      decidedBy: classification.decidedBy,
+      videoId: session.videoId,
+      title: session.title,
+      channel: channel ? (channel.handle || channel.id) : null,
+      channelName: channel ? channel.name : null,
+      terms: classification.matches
+        .filter(hit => hit.list === 'allowed')
+        .map(hit => hit.term),
+      duration: session.duration ? Math.round(session.duration) : null,
+      completion: session.duration
+        ? Math.min(100, Math.round((session.contentSeconds / session.duration) * 100))
+        : null
+    }]);
+    session.pendingSeconds = 0;
+  }
+  
+  if (final) {
+    watchTracker.session = null;
+  }
+}
+
+/**
+ * Save watch time before the tab is hidden or closed
+ */
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    countWatchTick();
+    flushWatchSession(false);
+  } else if (watchTracker.video && !watchTracker.video.paused) {
+    watchTracker.lastTick = performance.now();
+  }
+});
+
+window.addEventListener('pagehide', () => {
+  countWatchTick();
+  flushWatchSession(true);
+});
+
+window.addEventListener('yt-navigate-start', () => {
+  countWatchTick();
+  flushWatchSession(true);
+});
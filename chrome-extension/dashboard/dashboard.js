@@ -0,0 +1,320 @@
+/**
+ * YouTube Focus Mode - Dashboard
+ * Full-page history view: educational time per day/week, blocked attempts,
+ * and the channels, topics and keywords behind them.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TOP_ENTRIES = 8;
+
+// Dashboard state
+let historyDays = new Map();
+let recentVideos = [];
+let currentStats = null;
+let rangeDays = 30;
+let granularity = 'day';
+
+/**
+ * Initialize dashboard when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  setupEventListeners();
+  await loadHistory();
+  render();
+});
+
+/**
+ * Load daily history from the background worker
+ */
+async function loadHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+    historyDays = new Map(response.days);
+    recentVideos = response.videos;
+    currentStats = response.stats;
+  } catch (error) {
+    console.error('Error loading history:', error);
+  }
+}
+
+/**
+ * Read and normalize the stored settings, for the settings panels below the history
+ */
+async function getStoredSettings() {
+  return normalizeSettings(unpackSettings(await chrome.storage.sync.get(null)));
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+  document.getElementById('rangeSelect').addEventListener('change', (e) => {
+    rangeDays = parseInt(e.target.value, 10);
+    render();
+  });
+  
+  document.querySelectorAll('#granularity .segment').forEach(segment => {
+    segment.addEventListener('click', () => {
+      document.querySelectorAll('#granularity .segment').forEach(s => s.classList.remove('active'));
+      segment.classList.add('active');
+      granularity = segment.dataset.granularity;
+      render();
+    });
+  });
+}
+
+/**
+ * Format minutes as "1h 5m" / "45m"
+ */
+function formatMinutes(value) {
+  const minutes = Math.round(value);
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+    : `${minutes}m`;
+}
+
+/**
+ * Day keys for the last `count` days, oldest first
+ */
+function getRecentDayKeys(count) {
+  const now = new Date();
+  const keys = [];
+  for (let offset = count - 1; offset >= 0; offset--) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+    keys.push(getDayKey(date.getTime()));
+  }
+  return keys;
+}
+
+/**
+ * Summaries for the selected range, one per day (empty days included)
+ */
+function getRangeSummaries() {
+  return getRecentDayKeys(rangeDays).map(dayKey => ({
+    dayKey,
+    summary: historyDays.get(dayKey) || createDaySummary()
+  }));
+}
+
+/**
+ * Short chart label for a day key ("Mar 4")
+ */
+function formatDayLabel(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Group day summaries into weeks starting on Monday
+ */
+function groupByWeek(days) {
+  const weeks = [];
+  
+  days.forEach(({ dayKey, summary }) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const isMonday = date.getDay() === 1;
+    
+    if (weeks.length === 0 || isMonday) {
+      weeks.push({ dayKey, summary: createDaySummary() });
+    }
+    const week = weeks[weeks.length - 1];
+    week.summary = mergeDaySummaries(week.summary, summary);
+  });
+  
+  return weeks;
+}
+
+/**
+ * Render everything for the current range and granularity
+ */
+function render() {
+  const days = getRangeSummaries();
+  const totals = days.reduce((total, { summary }) => mergeDaySummaries(total, summary), createDaySummary());
+  
+  // Summary cards
+  document.getElementById('totalMinutes').textContent = formatMinutes(totals.educationalMinutes);
+  document.getElementById('averageMinutes').textContent =
+    formatMinutes(Math.round(totals.educationalMinutes / days.length));
+  document.getElementById('totalBlocked').textContent = totals.blockedCount;
+  document.getElementById('currentStreak').textContent = currentStats ? currentStats.focusStreak : 0;
+  if (currentStats) {
+    document.getElementById('streakLabel').textContent = `Day streak (${currentStats.dailyGoalMinutes}m goal)`;
+  }
+  
+  // Educational time per day or week
+  const buckets = granularity === 'week' ? groupByWeek(days) : days;
+  renderBarChart(document.getElementById('minutesChart'), buckets.map(({ dayKey, summary }) => ({
+    label: granularity === 'week' ? `Wk of ${formatDayLabel(dayKey)}` : formatDayLabel(dayKey),
+    value: summary.educationalMinutes
+  })), { kind: 'educational', formatValue: formatMinutes });
+  
+  // Blocked attempts per day
+  renderBarChart(document.getElementById('blockedChart'), days.map(({ dayKey, summary }) => ({
+    label: formatDayLabel(dayKey),
+    value: summary.blockedCount
+  })), { kind: 'blocked', formatValue: String });
+  
+  // Breakdowns
+  renderRankList(document.getElementById('topChannels'), totals.channels, formatMinutes);
+  renderRankList(document.getElementById('topTopics'), totals.topics, formatMinutes);
+  renderRankList(document.getElementById('topBlockedTerms'), totals.blockedTerms, count => `${count}×`);
+  
+  renderVideoList(document.getElementById('recentVideos'), recentVideos);
+}
+
+/**
+ * Render recently watched videos with watch time and completion
+ */
+function renderVideoList(tableBody, videos) {
+  tableBody.innerHTML = '';
+  
+  if (videos.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="4" class="empty-state">No videos watched yet.</td></tr>';
+    return;
+  }
+  
+  videos.forEach(video => {
+    const row = document.createElement('tr');
+    
+    const titleCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = video.title || video.videoId;
+    titleCell.appendChild(link);
+    if (video.channel) {
+      const channelEl = document.createElement('span');
+      channelEl.className = 'video-channel';
+      channelEl.textContent = video.channel;
+      titleCell.appendChild(channelEl);
+    }
+    
+    const labelCell = document.createElement('td');
+    const labelEl = document.createElement('span');
+    labelEl.className = `video-label ${video.label}`;
+    labelEl.textContent = video.label;
+    labelCell.appendChild(labelEl);
+    
+    const timeCell = document.createElement('td');
+    timeCell.textContent = formatMinutes(video.seconds / 60);
+    
+    const completionCell = document.createElement('td');
+    completionCell.textContent = video.completion === null ? '–' : `${video.completion}%`;
+    
+    row.append(titleCell, labelCell, timeCell, completionCell);
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function createSvgElement(tag, attributes) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Render a simple vertical bar chart
+ */
+function renderBarChart(container, series, { kind, formatValue }) {
+  container.innerHTML = '';
+  
+  const max = Math.max(0, ...series.map(point => point.value));
+  if (max === 0) {
+    container.innerHTML = '<p class="empty-state">No activity in this period yet.</p>';
+    return;
+  }
+  
+  const width = 800;
+  const height = 220;
+  const padding = { top: 10, right: 8, bottom: 24, left: 8 };
+  const plotHeight = height - padding.top - padding.bottom;
+  const slot = (width - padding.left - padding.right) / series.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  // Label roughly every 60px so labels never overlap
+  const labelEvery = Math.ceil(60 / slot);
+  
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img'
+  });
+  
+  [0.5, 1].forEach(fraction => {
+    const y = padding.top + plotHeight * (1 - fraction);
+    svg.appendChild(createSvgElement('line', {
+      class: 'grid-line', x1: padding.left, x2: width - padding.right, y1: y, y2: y
+    }));
+  });
+  
+  series.forEach((point, index) => {
+    const barHeight = (point.value / max) * plotHeight;
+    const x = padding.left + index * slot + (slot - barWidth) / 2;
+    
+    const bar = createSvgElement('rect', {
+      class: `bar ${kind}`,
+      x,
+      y: padding.top + plotHeight - barHeight,
+      width: barWidth,
+      height: barHeight,
+      rx: Math.min(4, barWidth / 2)
+    });
+    const tooltip = createSvgElement('title', {});
+    tooltip.textContent = `${point.label}: ${formatValue(point.value)}`;
+    bar.appendChild(tooltip);
+    svg.appendChild(bar);
+    
+    if (index % labelEvery === 0) {
+      const label = createSvgElement('text', {
+        class: 'axis-label',
+        x: x + barWidth / 2,
+        y: height - 6,
+        'text-anchor': 'middle'
+      });
+      label.textContent = point.label;
+      svg.appendChild(label);
+    }
+  });
+  
+  container.appendChild(svg);
+}
+
+/**
+ * Render the largest entries of a breakdown as a ranked list
+ */
+function renderRankList(listEl, breakdown, formatValue) {
+  listEl.innerHTML = '';
+  
+  const entries = Object.entries(breakdown || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_ENTRIES);
+  
+  if (entries.length === 0) {
+    listEl.innerHTML = '<li class="empty-state">Nothing yet</li>';
+    return;
+  }
+  
+  const max = entries[0][1];
+  entries.forEach(([name, value]) => {
+    const item = document.createElement('li');
+    
+    const fill = document.createElement('span');
+    fill.className = 'rank-fill';
+    fill.style.width = `${(value / max) * 100}%`;
+    
+    const nameEl = document.createElement('span');
+    nameEl.className = 'rank-name';
+    nameEl.textContent = name;
+    nameEl.title = name;
+    
+    const valueEl = document.createElement('span');
+    valueEl.className = 'rank-value';
+    valueEl.textContent = formatValue(value);
+    
+    item.append(fill, nameEl, valueEl);
+    listEl.appendChild(item);
+  });
+}
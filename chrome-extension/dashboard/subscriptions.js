@@ -0,0 +1,232 @@
+/**
+ * YouTube Focus Mode - Dashboard List Subscriptions
+ * Subscribe to remote keyword and channel lists, and see when each one was
+ * last updated. Fetching and caching happen in the background worker.
+ */
+
+/**
+ * Initialize the subscriptions panel when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  setupSubscriptionListeners();
+  await renderSubscriptions();
+});
+
+/**
+ * Setup subscriptions panel event listeners
+ */
+function setupSubscriptionListeners() {
+  document.getElementById('addSubscription').addEventListener('click', addSubscription);
+  document.getElementById('subscriptionUrl').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addSubscription();
+  });
+  
+  document.getElementById('refreshSubscriptions').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    try {
+      await chrome.runtime.sendMessage({ type: 'REFRESH_SUBSCRIPTIONS' });
+    } catch (error) {
+      console.error('Error refreshing lists:', error);
+    }
+    e.target.disabled = false;
+    await renderSubscriptions();
+  });
+  
+  // The background worker updates the cache as lists arrive
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if ((area === 'sync' && Object.keys(changes).some(isSettingsStorageKey)) ||
+        (area === 'local' && changes.subscriptionCache)) {
+      renderSubscriptions();
+    }
+  });
+}
+
+/**
+ * Host permission pattern covering a list URL
+ */
+function getOriginPattern(url) {
+  return `${new URL(url).origin}/*`;
+}
+
+/**
+ * Show or clear the error below the URL field
+ */
+function showSubscriptionError(message) {
+  document.getElementById('subscriptionError').textContent = message || '';
+}
+
+/**
+ * Save the subscription list through the background worker
+ */
+async function saveSubscriptions(subscriptions) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      updates: { subscriptions },
+      source: 'dashboard'
+    });
+    
+    if (response && response.refused) {
+      showSubscriptionError(`${response.error}: ${response.refused.join(', ')}`);
+      await renderSubscriptions();
+    }
+    
+    return Boolean(response && response.success);
+  } catch (error) {
+    console.error('Error saving lists:', error);
+    return false;
+  }
+}
+
+/**
+ * Subscribe to the URL in the input field
+ */
+async function addSubscription() {
+  const input = document.getElementById('subscriptionUrl');
+  const url = input.value.trim();
+  if (!url) return;
+  
+  if (!isSubscriptionUrl(url)) {
+    showSubscriptionError('Enter a URL starting with http:// or https://');
+    return;
+  }
+  
+  // Asked first, while the click still counts as a user gesture
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins: [getOriginPattern(url)] });
+  } catch (error) {
+    console.error('Error requesting permission:', error);
+  }
+  if (!granted) {
+    showSubscriptionError('The extension needs permission to read from that site');
+    return;
+  }
+  
+  const settings = await getStoredSettings();
+  if (settings.subscriptions.some(subscription => subscription.url === url)) {
+    showSubscriptionError('Already subscribed to that list');
+    return;
+  }
+  showSubscriptionError(null);
+  
+  const subscription = { id: `list-${Date.now().toString(36)}`, url, enabled: true };
+  if (await saveSubscriptions([...settings.subscriptions, subscription])) {
+    input.value = '';
+  }
+}
+
+/**
+ * Turn a subscription on or off
+ */
+async function toggleSubscription(id, enabled) {
+  const settings = await getStoredSettings();
+  await saveSubscriptions(settings.subscriptions.map(subscription => {
+    return subscription.id === id ? { ...subscription, enabled } : subscription;
+  }));
+}
+
+/**
+ * Unsubscribe, and give up the site permission once no list needs it
+ */
+async function removeSubscription(id) {
+  const settings = await getStoredSettings();
+  const removed = settings.subscriptions.find(subscription => subscription.id === id);
+  const remaining = settings.subscriptions.filter(subscription => subscription.id !== id);
+  
+  if (!removed || !await saveSubscriptions(remaining)) return;
+  
+  const origin = getOriginPattern(removed.url);
+  if (!remaining.some(subscription => getOriginPattern(subscription.url) === origin)) {
+    // Fails for sites the extension always has access to, which is fine
+    chrome.permissions.remove({ origins: [origin] }).catch(() => {});
+  }
+}
+
+/**
+ * One line on how a list is doing: its size and last update, or the error
+ */
+function describeSubscriptionStatus(subscription, entry) {
+  if (!subscription.enabled) return { text: 'Turned off', isError: false };
+  if (!entry || entry.url !== subscription.url) return { text: 'Not fetched yet', isError: false };
+  
+  const updated = entry.fetchedAt
+    ? `updated ${new Date(entry.fetchedAt).toLocaleString()}`
+    : null;
+  
+  if (entry.error) {
+    return {
+      text: `Couldn't update (${entry.error})${updated ? `; using the copy ${updated}` : ''}`,
+      isError: true
+    };
+  }
+  
+  const { list } = entry;
+  const keywords = list.allowedKeywords.length + list.blockedKeywords.length;
+  const channels = list.channelRules.allowed.length + list.channelRules.blocked.length;
+  return {
+    text: `${keywords} keyword${keywords === 1 ? '' : 's'}, ${channels} channel${channels === 1 ? '' : 's'} · ${updated}`,
+    isError: false
+  };
+}
+
+/**
+ * Render the subscribed lists with their cache status
+ */
+async function renderSubscriptions() {
+  try {
+    const [settings, result] = await Promise.all([
+      getStoredSettings(),
+      chrome.storage.local.get(['subscriptionCache'])
+    ]);
+    const cache = result.subscriptionCache || {};
+    const listEl = document.getElementById('subscriptionList');
+    listEl.innerHTML = '';
+    
+    if (settings.subscriptions.length === 0) {
+      listEl.innerHTML = '<li class="empty-state">No lists yet</li>';
+      return;
+    }
+    
+    settings.subscriptions.forEach(subscription => {
+      const entry = cache[subscription.id];
+      const status = describeSubscriptionStatus(subscription, entry);
+      const name = entry && entry.list && entry.list.name
+        ? entry.list.name
+        : new URL(subscription.url).hostname;
+      
+      const item = document.createElement('li');
+      item.classList.toggle('disabled', !subscription.enabled);
+      
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = subscription.enabled;
+      toggle.setAttribute('aria-label', `Use ${name}`);
+      toggle.addEventListener('change', () => toggleSubscription(subscription.id, toggle.checked));
+      
+      const info = document.createElement('div');
+      info.className = 'subscription-info';
+      const nameEl = document.createElement('span');
+      nameEl.className = 'subscription-name';
+      nameEl.textContent = name;
+      const urlEl = document.createElement('span');
+      urlEl.className = 'subscription-url';
+      urlEl.textContent = subscription.url;
+      const statusEl = document.createElement('span');
+      statusEl.className = 'subscription-status';
+      statusEl.classList.toggle('error', status.isError);
+      statusEl.textContent = status.text;
+      info.append(nameEl, urlEl, statusEl);
+      
+      const remove = document.createElement('button');
+      remove.className = 'btn';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => removeSubscription(subscription.id));
+      
+      item.append(toggle, info, remove);
+      listEl.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading lists:', error);
+  }
+}
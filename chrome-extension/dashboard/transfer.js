@@ -0,0 +1,260 @@
+/**
+ * YouTube Focus Mode - Dashboard Settings Backup
+ * Export settings or a keyword list to a file, and import one back with a
+ * preview of every change before it is saved. Lives on the dashboard
+ * rather than the popup because the popup closes when a file picker opens.
+ */
+
+// The import waiting for Apply: { next, changes, origins } or null
+let pendingImport = null;
+
+/**
+ * Initialize the settings backup panel when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  setupTransferListeners();
+  await renderProfileOptions();
+});
+
+/**
+ * Setup settings backup event listeners
+ */
+function setupTransferListeners() {
+  document.getElementById('exportSettings').addEventListener('click', exportSettings);
+  document.getElementById('exportKeywords').addEventListener('click', exportKeywords);
+  document.getElementById('previewImport').addEventListener('click', previewImport);
+  document.getElementById('applyImport').addEventListener('click', applyImport);
+  document.getElementById('cancelImport').addEventListener('click', clearImportPreview);
+  
+  document.getElementById('importFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    document.getElementById('importText').value = await file.text();
+    updateImportTarget();
+    clearImportPreview();
+  });
+  
+  document.getElementById('importText').addEventListener('input', () => {
+    updateImportTarget();
+    clearImportPreview();
+  });
+  
+  document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', clearImportPreview);
+  });
+  ['importProfile', 'importList'].forEach(id => {
+    document.getElementById(id).addEventListener('change', clearImportPreview);
+  });
+  
+  // Profiles may be added or renamed from the popup while this page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && Object.keys(changes).some(isSettingsStorageKey)) {
+      renderProfileOptions();
+      // A preview made against the old settings would undo the change
+      if (pendingImport) clearImportPreview();
+    }
+  });
+}
+
+/**
+ * Fill both profile pickers, keeping their selection where possible
+ */
+async function renderProfileOptions() {
+  try {
+    const settings = await getStoredSettings();
+    
+    ['exportProfile', 'importProfile'].forEach(id => {
+      const select = document.getElementById(id);
+      const selected = select.value || settings.activeProfileId;
+      select.innerHTML = '';
+      settings.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+      select.value = settings.profiles.some(profile => profile.id === selected)
+        ? selected
+        : settings.activeProfileId;
+    });
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+  }
+}
+
+/**
+ * Offer `content` as a file download
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download every setting as a JSON export
+ */
+async function exportSettings() {
+  try {
+    const settings = await getStoredSettings();
+    const data = JSON.stringify(createSettingsExport(settings), null, 2);
+    downloadFile(`focus-mode-settings-${getDayKey(Date.now())}.json`, data, 'application/json');
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+  }
+}
+
+/**
+ * Download one keyword list as plain text
+ */
+async function exportKeywords() {
+  try {
+    const settings = await getStoredSettings();
+    const profile = getProfile(settings, document.getElementById('exportProfile').value);
+    const list = document.getElementById('exportList').value;
+    const kind = list === 'allowedKeywords' ? 'allowed' : 'blocked';
+    downloadFile(`focus-mode-${profile.id}-${kind}.txt`, formatKeywordList(profile[list]), 'text/plain');
+  } catch (error) {
+    console.error('Error exporting keywords:', error);
+  }
+}
+
+/**
+ * Show where plain keyword lists go; JSON exports bring their own profiles
+ */
+function updateImportTarget() {
+  const text = document.getElementById('importText').value.trim();
+  const isKeywordList = text.length > 0 && !text.startsWith('{');
+  document.getElementById('importTarget').classList.toggle('hidden', !isKeywordList);
+}
+
+/**
+ * Parse the import and show what it would change
+ */
+async function previewImport() {
+  const parsed = parseSettingsImport(document.getElementById('importText').value);
+  
+  if (parsed.kind === 'error') {
+    pendingImport = null;
+    renderImportPreview('Can\'t import this:', parsed.errors.map(text => ({ change: 'removed', text })), true);
+    return;
+  }
+  
+  try {
+    const current = await getStoredSettings();
+    const options = {
+      mode: document.querySelector('input[name="importMode"]:checked').value,
+      profileId: document.getElementById('importProfile').value,
+      list: document.getElementById('importList').value
+    };
+    const next = applySettingsImport(current, parsed, options);
+    
+    const quotaErrors = getSyncQuotaErrors(packSettings(next));
+    if (quotaErrors.length > 0) {
+      pendingImport = null;
+      renderImportPreview('Can\'t import this:', quotaErrors.map(text => ({ change: 'removed', text })), true);
+      return;
+    }
+    
+    const changes = diffSettings(current, next);
+    const skipped = (parsed.skipped || []).map(text => ({ change: 'skipped', text: `Skipped ${text}` }));
+    
+    const origins = next.subscriptions
+      .filter(subscription => !current.subscriptions.some(existing => existing.url === subscription.url))
+      .map(subscription => getOriginPattern(subscription.url));
+    
+    pendingImport = changes.length > 0 ? { next, changes, origins: [...new Set(origins)] } : null;
+    renderImportPreview(
+      changes.length > 0
+        ? `${changes.length} change${changes.length === 1 ? '' : 's'} to apply:`
+        : 'Nothing to change: your settings already match.',
+      [...changes, ...skipped],
+      false
+    );
+  } catch (error) {
+    console.error('Error previewing import:', error);
+  }
+}
+
+/**
+ * Render the preview summary and change list
+ */
+function renderImportPreview(summary, changes, isError) {
+  const summaryEl = document.getElementById('importSummary');
+  summaryEl.textContent = summary;
+  summaryEl.classList.toggle('error', isError);
+  
+  const list = document.getElementById('importChanges');
+  list.innerHTML = '';
+  changes.forEach(({ change, text }) => {
+    const item = document.createElement('li');
+    item.className = change;
+    item.textContent = `${{ added: '+', removed: '−', changed: '~' }[change] || ' '} ${text}`;
+    list.appendChild(item);
+  });
+  
+  document.getElementById('applyImport').disabled = !pendingImport;
+  document.getElementById('importPreview').classList.remove('hidden');
+}
+
+/**
+ * Hide the preview; Apply needs a fresh one after any change
+ */
+function clearImportPreview() {
+  pendingImport = null;
+  document.getElementById('importPreview').classList.add('hidden');
+}
+
+/**
+ * Save the previewed import.
+ * Goes through the background worker like every other settings change, so
+ * a strict focus session can still refuse it.
+ */
+async function applyImport() {
+  if (!pendingImport) return;
+  
+  try {
+    // Newly subscribed lists can only be fetched with their site's
+    // permission; asked first, while the click still counts as a user gesture
+    if (pendingImport.origins.length > 0) {
+      await chrome.permissions.request({ origins: pendingImport.origins });
+    }
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      updates: pendingImport.next,
+      source: 'dashboard'
+    });
+    
+    if (response && response.refused) {
+      pendingImport = null;
+      renderImportPreview(
+        `${response.error}. Not imported because it would:`,
+        response.refused.map(text => ({ change: 'removed', text })),
+        true
+      );
+      return;
+    }
+    
+    if (response && response.quotaErrors) {
+      pendingImport = null;
+      renderImportPreview(
+        'Not imported:',
+        response.quotaErrors.map(text => ({ change: 'removed', text })),
+        true
+      );
+      return;
+    }
+    
+    pendingImport = null;
+    renderImportPreview(response && response.success ? 'Imported.' : 'Import failed.', [], !(response && response.success));
+    document.getElementById('importText').value = '';
+    document.getElementById('importFile').value = '';
+    updateImportTarget();
+  } catch (error) {
+    console.error('Error importing settings:', error);
+  }
+}
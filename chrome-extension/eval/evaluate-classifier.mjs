@@ -0,0 +1,155 @@
+/**
+ * YouTube Focus Mode - Classifier Evaluation
+ * Reports precision and recall of each classifier backend on a labelled
+ * title set (labelled-titles.json: [{ title, label }], label 'educational'
+ * or 'blocked'):
+ * - keywords: the default profile's keyword lists
+ * - model: the on-device model, by k-fold cross-validation; each fold is
+ *   judged by a model trained as feedback on the other folds
+ * Titles judged neutral count as misses for recall.
+ *
+ *   node eval/evaluate-classifier.mjs [fixture.json] [--folds 5]
+ *
+ * Loads the extension's shared scripts as they are, no build step.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const SHARED_SCRIPTS = [
+  'keyword-matcher.js',
+  'text-classifier.js',
+  'channel-rules.js',
+  'metadata-rules.js',
+  'profiles.js',
+  'schedule.js',
+  'subscriptions.js',
+  'settings.js'
+];
+
+/**
+ * Run the shared scripts in one context, the way the extension loads them
+ * as classic scripts, and return that context
+ */
+function loadSharedScripts() {
+  const context = vm.createContext({ console });
+  SHARED_SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(EVAL_DIR, '..', 'shared', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+/**
+ * Read the command line: fixture path and fold count
+ */
+function parseArgs(args) {
+  const options = { fixture: path.join(EVAL_DIR, 'labelled-titles.json'), folds: 5 };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--folds') {
+      options.folds = parseInt(args[++i], 10);
+    } else {
+      options.fixture = path.resolve(args[i]);
+    }
+  }
+  if (!(options.folds >= 2)) throw new Error('--folds must be at least 2');
+  return options;
+}
+
+/**
+ * Precision and recall per label from [{ label, predicted }]
+ */
+function scorePredictions(results) {
+  const metrics = {};
+  ['educational', 'blocked'].forEach(label => {
+    const predicted = results.filter(result => result.predicted === label);
+    const actual = results.filter(result => result.label === label);
+    const correct = predicted.filter(result => result.label === label);
+    metrics[label] = {
+      precision: predicted.length ? correct.length / predicted.length : 0,
+      recall: actual.length ? correct.length / actual.length : 0
+    };
+  });
+  metrics.neutral = results.filter(result => result.predicted === 'neutral').length / results.length;
+  return metrics;
+}
+
+/**
+ * The keyword backend with the default profile's lists
+ */
+function evaluateKeywords(shared, examples) {
+  const settings = {
+    ...shared.getProfileSettings(shared.getDefaultSettings(), 'default'),
+    classifierBackend: 'keywords'
+  };
+  return examples.map(({ title, label }) => ({
+    label,
+    predicted: shared.classifyText(title, { settings, model: null }).label
+  }));
+}
+
+/**
+ * The model backend, by cross-validation. Folds are interleaved, so a
+ * fixture that alternates labels gives every fold both.
+ */
+function evaluateModel(shared, examples, folds) {
+  const settings = { ...shared.getDefaultSettings(), classifierBackend: 'model' };
+  const results = [];
+  let fellBack = 0;
+  
+  for (let fold = 0; fold < folds; fold++) {
+    const training = examples.filter((example, index) => index % folds !== fold);
+    const testing = examples.filter((example, index) => index % folds === fold);
+    
+    const model = training.reduce((current, { title, label }) => {
+      return shared.trainModel(current, title, label);
+    }, shared.createEmptyModel());
+    
+    testing.forEach(({ title, label }) => {
+      const classification = shared.classifyText(title, { settings, model });
+      if (classification.backend !== 'model') fellBack += 1;
+      results.push({ label, predicted: classification.label });
+    });
+  }
+  
+  if (fellBack > 0) {
+    console.warn(`${fellBack} titles were judged by the keyword lists: too little training data per fold`);
+  }
+  return results;
+}
+
+/**
+ * Print one row per backend
+ */
+function printReport(rows, count, folds) {
+  const percent = value => `${(value * 100).toFixed(1)}%`.padStart(8);
+  console.log(`${count} labelled titles, model scored by ${folds}-fold cross-validation\n`);
+  console.log('backend    edu prec  edu rec  blk prec  blk rec  neutral');
+  rows.forEach(({ name, metrics }) => {
+    console.log([
+      name.padEnd(9),
+      percent(metrics.educational.precision),
+      percent(metrics.educational.recall),
+      percent(metrics.blocked.precision),
+      percent(metrics.blocked.recall),
+      percent(metrics.neutral)
+    ].join(' '));
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const examples = JSON.parse(fs.readFileSync(options.fixture, 'utf8'));
+  const shared = loadSharedScripts();
+  
+  printReport([
+    { name: 'keywords', metrics: scorePredictions(evaluateKeywords(shared, examples)) },
+    { name: 'model', metrics: scorePredictions(evaluateModel(shared, examples, options.folds)) }
+  ], examples.length, options.folds);
+}
+
+main();
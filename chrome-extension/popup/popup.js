@@ -3,49 +3,79 @@
  * Handles the extension popup UI and settings management
  */
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  focusModeEnabled: true,
-  allowedKeywords: [
-    'tutorial', 'course', 'lecture', 'coding', 'programming',
-    'java', 'python', 'javascript', 'react', 'node',
-    'dsa', 'data structures', 'algorithms', 'system design',
-    'ai', 'machine learning', 'deep learning', 'ml',
-    'web development', 'app development', 'frontend', 'backend',
-    'computer science', 'engineering', 'mathematics', 'calculus',
-    'interview', 'career', 'placement', 'leetcode', 'competitive programming'
-  ],
-  blockedKeywords: [
-    'prank', 'vlog', 'roast', 'shorts', 'gaming', 'gameplay',
-    'reaction', 'comedy', 'movie', 'music video', 'trailer',
-    'tiktok', 'funny', 'meme', 'challenge', 'unboxing',
-    'asmr', 'mukbang', 'drama', 'gossip', 'celebrity'
-  ],
-  stats: {
-    educationalMinutes: 0,
-    blockedCount: 0,
-    focusStreak: 0,
-    lastActiveDate: null
-  }
-};
-
 // DOM Elements
 let focusModeToggle;
+let filterStatusEl;
+let profileSelect;
+let replaceHomepageToggle;
 let educationalTimeEl;
+let goalRingEl;
+let goalRingFillEl;
+let goalLabelEl;
+let dailyGoalInput;
 let blockedCountEl;
 let focusStreakEl;
 let allowedInput;
 let blockedInput;
+let allowedModeSelect;
+let blockedModeSelect;
+let allowedWeightInput;
+let blockedWeightInput;
+let thresholdInput;
 let allowedList;
 let blockedList;
+let channelInput;
+let channelListSelect;
+let allowedChannelsEl;
+let blockedChannelsEl;
+let shortsModeSelect;
+let watchPageInputs;
+let scheduleEnabledToggle;
+let scheduleDefaultSelect;
+let scheduleDaysSelect;
+let scheduleLevelSelect;
+let scheduleProfileSelect;
+let scheduleStartInput;
+let scheduleEndInput;
+let scheduleRulesEl;
+let ruleActionSelect;
+let ruleFieldSelect;
+let ruleValueInput;
+let ruleCategorySelect;
+let ruleAllowedChannelsToggle;
+let allowRulesEl;
+let hideRulesEl;
+let searchNudgesToggle;
+let blockedDisplaySelect;
+let classifierBackendSelect;
+let strictSessionsToggle;
+let strictBanner;
+let strictMessageEl;
 let timerDisplay;
+let timerPhaseEl;
 let startTimerBtn;
+let skipTimerBtn;
 let resetTimerBtn;
 
-// Timer state
-let timerInterval = null;
-let timerSeconds = 25 * 60;
-let isTimerRunning = false;
+// Timer view (the timer itself runs in the background worker)
+let timerView = null;
+let timerTickInterval = null;
+let pomodoroSettings = null;
+
+// Profiles and schedule as last saved
+let profileList = [];
+let activeProfileId = null;
+let scheduleSettings = null;
+
+// Strict session state from the background worker
+let strictState = null;
+let strictTickInterval = null;
+
+const PHASE_LABELS = {
+  work: 'Focus',
+  shortBreak: 'Short break',
+  longBreak: 'Long break'
+};
 
 /**
  * Initialize popup when DOM is loaded
@@ -53,8 +83,14 @@ let isTimerRunning = false;
 document.addEventListener('DOMContentLoaded', async () => {
   initializeElements();
   await loadSettings();
+  await loadStats();
+  await loadTimer();
+  await loadStrictState();
+  await loadFilterStatus();
+  await loadSelectorHealth();
+  await loadBlockedCards();
+  await loadModelSummary();
   setupEventListeners();
-  updateTimerDisplay();
 });
 
 /**
@@ -62,63 +98,265 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 function initializeElements() {
   focusModeToggle = document.getElementById('focusModeToggle');
+  filterStatusEl = document.getElementById('filterStatus');
+  profileSelect = document.getElementById('profileSelect');
+  replaceHomepageToggle = document.getElementById('replaceHomepage');
   educationalTimeEl = document.getElementById('educationalTime');
+  goalRingEl = document.getElementById('goalRing');
+  goalRingFillEl = document.getElementById('goalRingFill');
+  goalLabelEl = document.getElementById('goalLabel');
+  dailyGoalInput = document.getElementById('dailyGoal');
   blockedCountEl = document.getElementById('blockedCount');
   focusStreakEl = document.getElementById('focusStreak');
   allowedInput = document.getElementById('allowedInput');
   blockedInput = document.getElementById('blockedInput');
+  allowedModeSelect = document.getElementById('allowedMode');
+  blockedModeSelect = document.getElementById('blockedMode');
+  allowedWeightInput = document.getElementById('allowedWeight');
+  blockedWeightInput = document.getElementById('blockedWeight');
+  thresholdInput = document.getElementById('classificationThreshold');
   allowedList = document.getElementById('allowedList');
   blockedList = document.getElementById('blockedList');
+  channelInput = document.getElementById('channelInput');
+  channelListSelect = document.getElementById('channelList');
+  allowedChannelsEl = document.getElementById('allowedChannels');
+  blockedChannelsEl = document.getElementById('blockedChannels');
+  shortsModeSelect = document.getElementById('shortsMode');
+  watchPageInputs = document.querySelectorAll('[data-watch-option]');
+  scheduleEnabledToggle = document.getElementById('scheduleEnabled');
+  scheduleDefaultSelect = document.getElementById('scheduleDefault');
+  scheduleDaysSelect = document.getElementById('scheduleDays');
+  scheduleLevelSelect = document.getElementById('scheduleLevel');
+  scheduleProfileSelect = document.getElementById('scheduleProfile');
+  scheduleStartInput = document.getElementById('scheduleStart');
+  scheduleEndInput = document.getElementById('scheduleEnd');
+  scheduleRulesEl = document.getElementById('scheduleRules');
+  ruleActionSelect = document.getElementById('ruleAction');
+  ruleFieldSelect = document.getElementById('ruleField');
+  ruleValueInput = document.getElementById('ruleValue');
+  ruleCategorySelect = document.getElementById('ruleCategory');
+  ruleAllowedChannelsToggle = document.getElementById('ruleAllowedChannels');
+  allowRulesEl = document.getElementById('allowRules');
+  hideRulesEl = document.getElementById('hideRules');
+  searchNudgesToggle = document.getElementById('searchNudges');
+  blockedDisplaySelect = document.getElementById('blockedDisplay');
+  classifierBackendSelect = document.getElementById('classifierBackend');
+  strictSessionsToggle = document.getElementById('strictSessions');
+  strictBanner = document.getElementById('strictBanner');
+  strictMessageEl = document.getElementById('strictMessage');
   timerDisplay = document.getElementById('timerDisplay');
+  timerPhaseEl = document.getElementById('timerPhase');
   startTimerBtn = document.getElementById('startTimer');
+  skipTimerBtn = document.getElementById('skipTimer');
   resetTimerBtn = document.getElementById('resetTimer');
 }
 
 /**
- * Load settings from Chrome storage
+ * Read settings from Chrome storage
+ */
+async function getStoredSettings() {
+  return normalizeSettings(unpackSettings(await chrome.storage.sync.get(null)));
+}
+
+/**
+ * Load settings from Chrome storage.
+ * The keyword, channel and option controls edit the profile picked by hand.
  */
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const settings = result.focusSettings || DEFAULT_SETTINGS;
+    const settings = await getStoredSettings();
+    const profile = getProfile(settings);
     
     // Update UI with settings
     focusModeToggle.checked = settings.focusModeEnabled;
-    
-    // Update stats
-    updateStatsDisplay(settings.stats);
+    searchNudgesToggle.checked = settings.searchNudges;
+    blockedDisplaySelect.value = settings.blockedDisplay;
+    classifierBackendSelect.value = settings.classifierBackend;
+    dailyGoalInput.value = settings.dailyGoalMinutes;
+    thresholdInput.value = settings.classificationThreshold;
+    strictSessionsToggle.checked = settings.strictSessions;
+    renderProfiles(settings);
+    shortsModeSelect.value = profile.shortsMode;
+    replaceHomepageToggle.checked = profile.replaceHomepage;
+    renderWatchPageOptions(profile.watchPage);
     
     // Render keyword lists
-    renderKeywords('allowed', settings.allowedKeywords);
-    renderKeywords('blocked', settings.blockedKeywords);
-    
-    // Check and update streak
-    checkStreak(settings);
+    renderKeywords('allowed', profile.allowedKeywords);
+    renderKeywords('blocked', profile.blockedKeywords);
+    renderChannelRules(profile.channelRules);
+    renderMetadataRules(profile.metadataRules);
+    renderSchedule(settings.schedule);
+    renderPomodoroSettings(settings.pomodoro);
   } catch (error) {
     console.error('Error loading settings:', error);
   }
 }
 
 /**
- * Save settings to Chrome storage
+ * Save settings through the background worker, which may refuse the change
+ * during a strict session. Returns true if the settings were saved.
  */
 async function saveSettings(updates) {
   try {
-    const result = await chrome.storage.sync.get(['focusSettings']);
-    const settings = { ...DEFAULT_SETTINGS, ...result.focusSettings, ...updates };
-    await chrome.storage.sync.set({ focusSettings: settings });
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', updates });
     
-    // Notify content script of changes
-    chrome.tabs.query({ url: '*://www.youtube.com/*' }, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, { 
-          type: 'SETTINGS_UPDATED', 
-          settings 
-        }).catch(() => {});
-      });
-    });
+    if (response && response.refused) {
+      showStrictRefusal(response.refused);
+      // Put the controls back the way the stored settings are
+      await loadSettings();
+    }
+    if (response && response.quotaErrors) {
+      showSaveError(response.quotaErrors);
+      await loadSettings();
+    } else if (response && response.success) {
+      showSaveError([]);
+    }
+    
+    return Boolean(response && response.success);
   } catch (error) {
     console.error('Error saving settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Show why the last change could not be saved, or hide the banner
+ */
+function showSaveError(errors) {
+  document.getElementById('saveErrorDetail').textContent = errors.join('. ');
+  document.getElementById('saveErrorBanner').hidden = errors.length === 0;
+}
+
+/**
+ * Save changes to the profile picked by hand
+ */
+async function saveProfile(updates) {
+  const settings = await getStoredSettings();
+  const profiles = settings.profiles.map(profile => {
+    return profile.id === settings.activeProfileId ? { ...profile, ...updates } : profile;
+  });
+  return saveSettings({ profiles });
+}
+
+/**
+ * Show the profile's watch page options; checkboxes and the related videos
+ * select are told apart by type
+ */
+function renderWatchPageOptions(watchPage) {
+  watchPageInputs.forEach(input => {
+    const value = watchPage[input.dataset.watchOption];
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+}
+
+/**
+ * Save one watch page option on the active profile
+ */
+async function saveWatchPageOption(key, value) {
+  const settings = await getStoredSettings();
+  const { watchPage } = getProfile(settings);
+  return saveProfile({ watchPage: { ...watchPage, [key]: value } });
+}
+
+/**
+ * Fill the profile switcher and the schedule's profile picker
+ */
+function renderProfiles(settings) {
+  profileList = settings.profiles;
+  activeProfileId = settings.activeProfileId;
+  
+  profileSelect.innerHTML = '';
+  scheduleProfileSelect.innerHTML = '';
+  scheduleProfileSelect.add(new Option('Keep the current profile', ''));
+  
+  profileList.forEach(profile => {
+    profileSelect.add(new Option(profile.name, profile.id, false, profile.id === activeProfileId));
+    scheduleProfileSelect.add(new Option(`Switch to ${profile.name}`, profile.id));
+  });
+  
+  document.getElementById('deleteProfile').disabled = profileList.length === 1;
+}
+
+/**
+ * New profile, starting as a copy of the current one
+ */
+async function createProfile() {
+  const name = prompt('Name for the new profile (it starts as a copy of the current one):');
+  if (!name || !name.trim()) return;
+  
+  const settings = await getStoredSettings();
+  const profile = {
+    ...JSON.parse(JSON.stringify(getProfile(settings))),
+    id: createProfileId(name, settings.profiles),
+    name: name.trim()
+  };
+  
+  if (await saveSettings({ profiles: [...settings.profiles, profile], activeProfileId: profile.id })) {
+    await loadSettings();
+    await loadFilterStatus();
+  }
+}
+
+/**
+ * Rename the current profile
+ */
+async function renameProfile() {
+  const settings = await getStoredSettings();
+  const name = prompt('Profile name:', getProfile(settings).name);
+  if (!name || !name.trim()) return;
+  
+  if (await saveProfile({ name: name.trim() })) {
+    await loadSettings();
+    await loadFilterStatus();
+  }
+}
+
+/**
+ * Delete the current profile. Schedule rules that switched to it keep
+ * their times but no longer switch profiles.
+ */
+async function deleteProfile() {
+  const settings = await getStoredSettings();
+  const profile = getProfile(settings);
+  if (settings.profiles.length === 1 || !confirm(`Delete the profile "${profile.name}"?`)) return;
+  
+  const profiles = settings.profiles.filter(p => p.id !== profile.id);
+  const schedule = {
+    ...settings.schedule,
+    rules: settings.schedule.rules.map(rule => {
+      return rule.profileId === profile.id ? { ...rule, profileId: null } : rule;
+    })
+  };
+  
+  if (await saveSettings({ profiles, activeProfileId: profiles[0].id, schedule })) {
+    await loadSettings();
+    await loadFilterStatus();
+  }
+}
+
+/**
+ * Switch the profile picked by hand
+ */
+async function switchProfile(profileId) {
+  if (await saveSettings({ activeProfileId: profileId })) {
+    await loadSettings();
+    await loadFilterStatus();
+  }
+}
+
+/**
+ * Load today's stats, derived by the background worker from the activity log
+ */
+async function loadStats() {
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
+    updateStatsDisplay(stats || {});
+  } catch (error) {
+    console.error('Error loading stats:', error);
   }
 }
 
@@ -126,40 +364,54 @@ async function saveSettings(updates) {
  * Update stats display
  */
 function updateStatsDisplay(stats) {
-  const minutes = stats.educationalMinutes || 0;
-  educationalTimeEl.textContent = minutes >= 60 
-    ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` 
-    : `${minutes}m`;
+  const minutes = Math.round(stats.educationalMinutes || 0);
+  educationalTimeEl.textContent = formatMinutes(minutes);
   blockedCountEl.textContent = stats.blockedCount || 0;
   focusStreakEl.textContent = stats.focusStreak || 0;
+  
+  // The ring's circle is 100 long, so the offset is what's left in percent
+  const percent = Math.round((stats.goalProgress || 0) * 100);
+  goalRingFillEl.style.strokeDashoffset = 100 - percent;
+  goalRingEl.classList.toggle('met', percent >= 100);
+  goalRingEl.setAttribute('aria-valuenow', percent);
+  goalLabelEl.textContent = stats.dailyGoalMinutes ? `of ${formatMinutes(stats.dailyGoalMinutes)} goal` : 'Educational';
+}
+
+/**
+ * Minutes as "45m" or "1h 5m"
+ */
+function formatMinutes(minutes) {
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+    : `${minutes}m`;
 }
 
 /**
- * Check and update focus streak
+ * Save the classification threshold, putting back the stored one if the
+ * value is out of range
  */
-async function checkStreak(settings) {
-  const today = new Date().toDateString();
-  const lastActive = settings.stats.lastActiveDate;
+async function saveThreshold(value) {
+  const [min, max] = CLASSIFICATION_THRESHOLD_LIMITS;
+  if (!(Number.isFinite(value) && value >= min && value <= max)) {
+    thresholdInput.value = (await getStoredSettings()).classificationThreshold;
+    return;
+  }
   
-  if (lastActive !== today) {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    if (lastActive === yesterday.toDateString()) {
-      // Continue streak
-      settings.stats.focusStreak += 1;
-    } else if (lastActive !== today) {
-      // Reset streak if more than a day gap
-      settings.stats.focusStreak = 1;
-    }
-    
-    // Reset daily stats
-    settings.stats.educationalMinutes = 0;
-    settings.stats.blockedCount = 0;
-    settings.stats.lastActiveDate = today;
-    
-    await saveSettings({ stats: settings.stats });
-    updateStatsDisplay(settings.stats);
+  await saveSettings({ classificationThreshold: value });
+}
+
+/**
+ * Save the daily goal; the streak and progress ring follow it
+ */
+async function saveDailyGoal(value) {
+  const [min, max] = DAILY_GOAL_LIMITS;
+  if (!(Number.isInteger(value) && value >= min && value <= max)) {
+    dailyGoalInput.value = (await getStoredSettings()).dailyGoalMinutes;
+    return;
+  }
+  
+  if (await saveSettings({ dailyGoalMinutes: value })) {
+    await loadStats();
   }
 }
 
@@ -170,50 +422,467 @@ function renderKeywords(type, keywords) {
   const listEl = type === 'allowed' ? allowedList : blockedList;
   listEl.innerHTML = '';
   
-  keywords.forEach(keyword => {
+  keywords.forEach(entry => {
+    const { term, weight, mode } = normalizeKeyword(entry);
     const tag = document.createElement('span');
     tag.className = 'keyword-tag';
-    tag.innerHTML = `
-      ${keyword}
-      <button data-keyword="${keyword}" data-type="${type}" aria-label="Remove ${keyword}">×</button>
-    `;
+    tag.append(term);
+    
+    if (weight !== 1) {
+      const weightEl = document.createElement('span');
+      weightEl.className = 'keyword-mode';
+      weightEl.title = 'Weight';
+      weightEl.textContent = `×${weight}`;
+      tag.appendChild(weightEl);
+    }
+    
+    // Only call out modes that differ from how a plain keyword would match
+    if (mode !== getDefaultMatchMode(term)) {
+      const modeEl = document.createElement('span');
+      modeEl.className = 'keyword-mode';
+      modeEl.textContent = mode;
+      tag.appendChild(modeEl);
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.dataset.key = getKeywordKey(entry);
+    removeBtn.dataset.type = type;
+    removeBtn.setAttribute('aria-label', `Remove ${term}`);
+    removeBtn.textContent = '×';
+    tag.appendChild(removeBtn);
+    
     listEl.appendChild(tag);
   });
 }
 
 /**
- * Add keyword to list
+ * Show (or clear) the validation message under a keyword input
+ */
+function showKeywordError(type, message) {
+  const errorEl = document.getElementById(`${type}Error`);
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('visible', Boolean(message));
+}
+
+/**
+ * Add keyword to list. Adding one that is already there with another
+ * weight changes its weight.
  */
 async function addKeyword(type) {
   const input = type === 'allowed' ? allowedInput : blockedInput;
-  const keyword = input.value.trim().toLowerCase();
+  const modeSelect = type === 'allowed' ? allowedModeSelect : blockedModeSelect;
+  const weightInput = type === 'allowed' ? allowedWeightInput : blockedWeightInput;
+  const keyword = normalizeKeyword({ term: input.value, mode: modeSelect.value, weight: parseFloat(weightInput.value) });
+  
+  if (!keyword.term) return;
   
-  if (!keyword) return;
+  const error = validateKeyword(keyword);
+  if (error) {
+    showKeywordError(type, error);
+    return;
+  }
+  showKeywordError(type, null);
   
-  const result = await chrome.storage.sync.get(['focusSettings']);
-  const settings = result.focusSettings || DEFAULT_SETTINGS;
+  const profile = getProfile(await getStoredSettings());
   const keywordList = type === 'allowed' ? 'allowedKeywords' : 'blockedKeywords';
+  const key = getKeywordKey(keyword);
+  const existing = profile[keywordList].find(k => getKeywordKey(k) === key);
   
-  if (!settings[keywordList].includes(keyword)) {
-    settings[keywordList].push(keyword);
-    await saveSettings({ [keywordList]: settings[keywordList] });
-    renderKeywords(type, settings[keywordList]);
+  if (!existing || normalizeKeyword(existing).weight !== keyword.weight) {
+    const keywords = existing
+      ? profile[keywordList].map(k => (k === existing ? keyword : k))
+      : [...profile[keywordList], keyword];
+    if (!await saveProfile({ [keywordList]: keywords })) return;
+    renderKeywords(type, keywords);
   }
   
   input.value = '';
+  weightInput.value = 1;
 }
 
 /**
  * Remove keyword from list
  */
-async function removeKeyword(keyword, type) {
-  const result = await chrome.storage.sync.get(['focusSettings']);
-  const settings = result.focusSettings || DEFAULT_SETTINGS;
+async function removeKeyword(key, type) {
+  const profile = getProfile(await getStoredSettings());
   const keywordList = type === 'allowed' ? 'allowedKeywords' : 'blockedKeywords';
   
-  settings[keywordList] = settings[keywordList].filter(k => k !== keyword);
-  await saveSettings({ [keywordList]: settings[keywordList] });
-  renderKeywords(type, settings[keywordList]);
+  const keywords = profile[keywordList].filter(k => getKeywordKey(k) !== key);
+  if (!await saveProfile({ [keywordList]: keywords })) return;
+  renderKeywords(type, keywords);
+}
+
+/**
+ * Render the channel allowlist and blocklist
+ */
+function renderChannelRules(channelRules) {
+  [['allowed', allowedChannelsEl], ['blocked', blockedChannelsEl]].forEach(([list, listEl]) => {
+    listEl.innerHTML = '';
+    
+    (channelRules[list] || []).forEach(rule => {
+      const tag = document.createElement('span');
+      tag.className = 'keyword-tag';
+      tag.title = rule.value;
+      tag.append(rule.name || rule.value);
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.dataset.key = getChannelRuleKey(rule);
+      removeBtn.dataset.list = list;
+      removeBtn.setAttribute('aria-label', `Remove ${rule.name || rule.value}`);
+      removeBtn.textContent = '×';
+      tag.appendChild(removeBtn);
+      
+      listEl.appendChild(tag);
+    });
+  });
+}
+
+/**
+ * Add a channel rule from the Channels tab input
+ */
+async function addChannel() {
+  const ref = parseChannelRef(channelInput.value);
+  
+  if (!channelInput.value.trim()) return;
+  
+  if (!ref) {
+    showKeywordError('channel', 'Enter an @handle, a UC… channel ID or a channel URL');
+    return;
+  }
+  showKeywordError('channel', null);
+  
+  const profile = getProfile(await getStoredSettings());
+  const channelRules = addChannelRule(profile.channelRules, channelListSelect.value, ref);
+  
+  if (!await saveProfile({ channelRules })) return;
+  renderChannelRules(channelRules);
+  channelInput.value = '';
+}
+
+/**
+ * Remove a channel rule
+ */
+async function removeChannel(key, list) {
+  const profile = getProfile(await getStoredSettings());
+  const channelRules = removeChannelRule(profile.channelRules, list, key);
+  
+  if (!await saveProfile({ channelRules })) return;
+  renderChannelRules(channelRules);
+}
+
+/**
+ * Render the profile's metadata rules, "Always allow" and "Hide" apart
+ */
+function renderMetadataRules(metadataRules) {
+  [['allow', allowRulesEl], ['block', hideRulesEl]].forEach(([action, listEl]) => {
+    listEl.innerHTML = '';
+    
+    metadataRules.filter(rule => rule.action === action).forEach(rule => {
+      // The list title already says what the rule does
+      const label = describeMetadataRule(rule).replace(/^(Hide|Always allow) /, '');
+      const tag = document.createElement('span');
+      tag.className = 'keyword-tag';
+      tag.append(label);
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.dataset.key = getMetadataRuleKey(rule);
+      removeBtn.setAttribute('aria-label', `Remove ${describeMetadataRule(rule)}`);
+      removeBtn.textContent = '×';
+      tag.appendChild(removeBtn);
+      
+      listEl.appendChild(tag);
+    });
+  });
+}
+
+/**
+ * Show the value input or the category picker, whichever the chosen
+ * field needs
+ */
+function updateRuleInputs() {
+  const [field] = ruleFieldSelect.value.split(':');
+  ruleValueInput.hidden = !METADATA_NUMERIC_FIELDS.includes(field);
+  ruleValueInput.placeholder = field === 'views' ? 'Views' : 'Minutes';
+  ruleCategorySelect.hidden = field !== 'category';
+  showKeywordError('rule', null);
+}
+
+/**
+ * Add a metadata rule from the Rules tab inputs
+ */
+async function addMetadataRule() {
+  const [field, op] = ruleFieldSelect.value.split(':');
+  const rule = { action: ruleActionSelect.value, field };
+  
+  if (op) {
+    rule.op = op;
+    rule.value = Number(ruleValueInput.value);
+  }
+  if (field === 'category') rule.value = ruleCategorySelect.value;
+  if (ruleAllowedChannelsToggle.checked) rule.channels = 'allowed';
+  
+  const error = validateMetadataRule(rule);
+  if (error) {
+    showKeywordError('rule', error);
+    return;
+  }
+  showKeywordError('rule', null);
+  
+  const profile = getProfile(await getStoredSettings());
+  const key = getMetadataRuleKey(rule);
+  
+  if (!profile.metadataRules.some(existing => getMetadataRuleKey(existing) === key)) {
+    const metadataRules = [...profile.metadataRules, rule];
+    if (!await saveProfile({ metadataRules })) return;
+    renderMetadataRules(metadataRules);
+  }
+  
+  ruleValueInput.value = '';
+}
+
+/**
+ * Remove a metadata rule
+ */
+async function removeMetadataRule(key) {
+  const profile = getProfile(await getStoredSettings());
+  const metadataRules = profile.metadataRules.filter(rule => getMetadataRuleKey(rule) !== key);
+  
+  if (!await saveProfile({ metadataRules })) return;
+  renderMetadataRules(metadataRules);
+}
+
+/**
+ * Render the schedule panel
+ */
+function renderSchedule(schedule) {
+  scheduleSettings = schedule;
+  scheduleEnabledToggle.checked = schedule.enabled;
+  scheduleDefaultSelect.value = schedule.defaultLevel;
+  scheduleRulesEl.innerHTML = '';
+  
+  schedule.rules.forEach((rule, index) => {
+    const profile = rule.profileId && profileList.find(p => p.id === rule.profileId);
+    let label = `${describeScheduleDays(rule.days)} ${rule.start}–${rule.end} · ${FILTER_LEVEL_LABELS[rule.level]}`;
+    if (profile) label += ` · ${profile.name}`;
+    const tag = document.createElement('span');
+    tag.className = `keyword-tag schedule-rule ${rule.level}`;
+    tag.append(label);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.dataset.index = index;
+    removeBtn.setAttribute('aria-label', `Remove ${label}`);
+    removeBtn.textContent = '×';
+    tag.appendChild(removeBtn);
+    
+    scheduleRulesEl.appendChild(tag);
+  });
+}
+
+/**
+ * Add a schedule rule from the Schedule tab inputs
+ */
+async function addScheduleRule() {
+  const days = scheduleDaysSelect.value;
+  const rule = {
+    days: SCHEDULE_DAY_PRESETS[days] ? [...SCHEDULE_DAY_PRESETS[days]] : [parseInt(days, 10)],
+    start: scheduleStartInput.value,
+    end: scheduleEndInput.value,
+    level: scheduleLevelSelect.value,
+    profileId: scheduleProfileSelect.value || null
+  };
+  
+  const error = validateScheduleRule(rule);
+  if (error) {
+    showKeywordError('schedule', error);
+    return;
+  }
+  showKeywordError('schedule', null);
+  
+  await saveSchedule({ ...scheduleSettings, rules: [...scheduleSettings.rules, rule] });
+}
+
+/**
+ * Remove a schedule rule by position
+ */
+async function removeScheduleRule(index) {
+  await saveSchedule({
+    ...scheduleSettings,
+    rules: scheduleSettings.rules.filter((rule, i) => i !== index)
+  });
+}
+
+/**
+ * Save the schedule and show its effect
+ */
+async function saveSchedule(schedule) {
+  if (!await saveSettings({ schedule })) return;
+  renderSchedule(schedule);
+  await loadFilterStatus();
+}
+
+/**
+ * Show the filter level in effect and when it next changes
+ */
+async function loadFilterStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_FILTER_STATUS' });
+    
+    const parts = [status.level === 'off'
+      ? 'Filtering off'
+      : `${FILTER_LEVEL_LABELS[status.level]} filtering`];
+    if (profileList.length > 1) {
+      parts.push(getProfileName(status.profileId));
+    }
+    
+    if (status.source === 'strictSession') {
+      parts.push('strict session');
+    } else if (status.nextChange) {
+      // Name whatever changes next: the level, the profile or both
+      const next = status.nextChange;
+      const nextProfileId = next.profileId || activeProfileId;
+      const changes = [];
+      if (next.level !== status.level) changes.push(FILTER_LEVEL_LABELS[next.level]);
+      if (nextProfileId !== status.profileId) changes.push(getProfileName(nextProfileId));
+      parts.push(`${changes.join(', ')} from ${formatScheduleChange(next.at)}`);
+    }
+    
+    filterStatusEl.textContent = parts.join(' · ');
+    filterStatusEl.dataset.level = status.level;
+  } catch (error) {
+    console.error('Error loading filter status:', error);
+  }
+}
+
+/**
+ * Show how much feedback the on-device model has learned from
+ */
+async function loadModelSummary() {
+  try {
+    const summary = await chrome.runtime.sendMessage({ type: 'GET_CLASSIFIER_MODEL' });
+    const learned = `Model learned ${summary.educational} educational, ${summary.blocked} not`;
+    
+    document.getElementById('modelSummary').textContent = summary.ready
+      ? `${learned}.`
+      : `${learned}; keyword lists decide until it has ${summary.minExamples} of each.`;
+    document.getElementById('resetModel').disabled = summary.educational + summary.blocked === 0;
+  } catch (error) {
+    console.error('Error loading model summary:', error);
+  }
+}
+
+/**
+ * List the videos blocked on the YouTube page in the current tab. Other
+ * pages have no content script to ask, which leaves the hint in place.
+ */
+async function loadBlockedCards() {
+  const summaryEl = document.getElementById('pageBlockedSummary');
+  const listEl = document.getElementById('pageBlockedList');
+  
+  let response = null;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    response = tab ? await chrome.tabs.sendMessage(tab.id, { type: 'GET_BLOCKED_CARDS' }) : null;
+  } catch (error) {
+    // Not a YouTube tab
+  }
+  if (!response) return;
+  
+  const { cards } = response;
+  summaryEl.textContent = cards.length > 0
+    ? `${cards.length} video${cards.length === 1 ? '' : 's'} blocked on this page.`
+    : 'Nothing blocked on this page.';
+  listEl.innerHTML = '';
+  
+  cards.forEach(card => {
+    const item = document.createElement('li');
+    item.classList.toggle('revealed', card.revealed);
+    
+    const title = document.createElement('span');
+    title.className = 'page-blocked-title';
+    title.textContent = card.title;
+    title.title = card.channelName ? `${card.title} · ${card.channelName}` : card.title;
+    
+    const reason = document.createElement('span');
+    reason.className = 'page-blocked-reason';
+    reason.textContent = card.revealed ? `Revealed · ${card.reason}` : card.reason;
+    item.append(title, reason);
+    
+    const actions = [];
+    if (!card.revealed) actions.push(['reveal', 'Reveal once']);
+    if (card.canMarkEducational) actions.push(['educational', 'This is educational']);
+    actions.forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.className = 'btn-profile';
+      button.dataset.action = action;
+      button.dataset.key = card.key;
+      button.textContent = label;
+      if (action === 'educational' && card.channelName) button.title = `Always allow ${card.channelName}`;
+      item.appendChild(button);
+    });
+    
+    listEl.appendChild(item);
+  });
+}
+
+/**
+ * Reveal a blocked card, or allow its channel, in the current tab
+ */
+async function runBlockedCardAction(action, key) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'BLOCKED_CARD_ACTION', action, key });
+    
+    if (response && response.success) {
+      await loadBlockedCards();
+    } else {
+      document.getElementById('pageBlockedSummary').textContent =
+        `Not saved: ${(response && response.error) || 'the page did not answer'}`;
+    }
+  } catch (error) {
+    console.error('Error acting on blocked video:', error);
+  }
+}
+
+/**
+ * Warn when the YouTube page in the current tab has elements the filter
+ * could not find. Reports for a page the tab has since left are ignored.
+ */
+async function loadSelectorHealth() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const report = tab ? await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_HEALTH', tabId: tab.id }) : null;
+    const degraded = Boolean(report && report.url === tab.url && report.missing.length > 0) &&
+      focusModeToggle.checked;
+    
+    document.getElementById('degradedBanner').hidden = !degraded;
+    document.getElementById('degradedDetail').textContent = degraded
+      ? `Not found: ${report.missing.map(item => item.label.toLowerCase()).join(', ')}. YouTube may have changed its layout; some videos may not be filtered.`
+      : '';
+  } catch (error) {
+    console.error('Error loading filter health:', error);
+  }
+}
+
+/**
+ * Display name for a profile ID
+ */
+function getProfileName(profileId) {
+  const profile = profileList.find(p => p.id === profileId);
+  return profile ? profile.name : profileId;
+}
+
+/**
+ * "18:00", "tomorrow 09:00" or "Sat 00:00"
+ */
+function formatScheduleChange(at) {
+  const date = new Date(at);
+  const time = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  
+  if (date.toDateString() === new Date().toDateString()) return time;
+  if (date.toDateString() === tomorrow.toDateString()) return `tomorrow ${time}`;
+  return `${DAY_NAMES[date.getDay()]} ${time}`;
 }
 
 /**
@@ -225,6 +894,107 @@ function setupEventListeners() {
     await saveSettings({ focusModeEnabled: e.target.checked });
   });
   
+  // Profiles
+  profileSelect.addEventListener('change', (e) => switchProfile(e.target.value));
+  document.getElementById('newProfile').addEventListener('click', createProfile);
+  document.getElementById('renameProfile').addEventListener('click', renameProfile);
+  document.getElementById('deleteProfile').addEventListener('click', deleteProfile);
+  
+  // Shorts and homepage handling (per profile)
+  shortsModeSelect.addEventListener('change', async (e) => {
+    await saveProfile({ shortsMode: e.target.value });
+  });
+  replaceHomepageToggle.addEventListener('change', async (e) => {
+    await saveProfile({ replaceHomepage: e.target.checked });
+  });
+  
+  // Watch page layout (per profile)
+  watchPageInputs.forEach(input => {
+    input.addEventListener('change', async (e) => {
+      const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      await saveWatchPageOption(e.target.dataset.watchOption, value);
+    });
+  });
+  
+  // Search suggestions
+  searchNudgesToggle.addEventListener('change', async (e) => {
+    await saveSettings({ searchNudges: e.target.checked });
+  });
+  
+  // How blocked cards show, and acting on them from the This page tab
+  blockedDisplaySelect.addEventListener('change', async (e) => {
+    await saveSettings({ blockedDisplay: e.target.value });
+  });
+  
+  // Classifier backend and the on-device model
+  classifierBackendSelect.addEventListener('change', async (e) => {
+    await saveSettings({ classifierBackend: e.target.value });
+  });
+  thresholdInput.addEventListener('change', (e) => {
+    saveThreshold(parseFloat(e.target.value));
+  });
+  dailyGoalInput.addEventListener('change', (e) => {
+    saveDailyGoal(parseInt(e.target.value, 10));
+  });
+  document.getElementById('resetModel').addEventListener('click', async () => {
+    if (!confirm('Forget everything the on-device model has learned?')) return;
+    
+    const response = await chrome.runtime.sendMessage({ type: 'RESET_CLASSIFIER_MODEL' });
+    if (response && response.refused) showStrictRefusal(response.refused);
+    await loadModelSummary();
+  });
+  document.getElementById('pageBlockedList').addEventListener('click', (e) => {
+    if (e.target.tagName === 'BUTTON') {
+      runBlockedCardAction(e.target.dataset.action, e.target.dataset.key);
+    }
+  });
+  
+  // Metadata rules
+  YOUTUBE_CATEGORIES.forEach(category => ruleCategorySelect.add(new Option(category, category)));
+  ruleFieldSelect.addEventListener('change', updateRuleInputs);
+  ruleValueInput.addEventListener('input', () => showKeywordError('rule', null));
+  ruleValueInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addMetadataRule();
+  });
+  document.getElementById('addRule').addEventListener('click', addMetadataRule);
+  [allowRulesEl, hideRulesEl].forEach(listEl => {
+    listEl.addEventListener('click', (e) => {
+      if (e.target.tagName === 'BUTTON') {
+        removeMetadataRule(e.target.dataset.key);
+      }
+    });
+  });
+  
+  // Schedule
+  scheduleEnabledToggle.addEventListener('change', (e) => {
+    saveSchedule({ ...scheduleSettings, enabled: e.target.checked });
+  });
+  scheduleDefaultSelect.addEventListener('change', (e) => {
+    saveSchedule({ ...scheduleSettings, defaultLevel: e.target.value });
+  });
+  document.getElementById('addScheduleRule').addEventListener('click', addScheduleRule);
+  [scheduleStartInput, scheduleEndInput].forEach(input => {
+    input.addEventListener('input', () => showKeywordError('schedule', null));
+  });
+  scheduleRulesEl.addEventListener('click', (e) => {
+    if (e.target.tagName === 'BUTTON') {
+      removeScheduleRule(parseInt(e.target.dataset.index, 10));
+    }
+  });
+  
+  // Strict sessions
+  strictSessionsToggle.addEventListener('change', async (e) => {
+    await saveSettings({ strictSessions: e.target.checked });
+    await loadStrictState();
+  });
+  document.getElementById('strictCooldown').addEventListener('click', () => requestStrictUnlock());
+  document.getElementById('strictUnlock').addEventListener('click', () => {
+    requestStrictUnlock(document.getElementById('strictPassphraseInput').value);
+  });
+  document.getElementById('strictPassphraseInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') requestStrictUnlock(e.target.value);
+  });
+  
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
     tab.addEventListener('click', () => {
@@ -248,47 +1018,83 @@ function setupEventListeners() {
     if (e.key === 'Enter') addKeyword('blocked');
   });
   
+  // Clear validation errors as soon as the user edits the keyword
+  [allowedInput, allowedWeightInput].forEach(input => {
+    input.addEventListener('input', () => showKeywordError('allowed', null));
+  });
+  [blockedInput, blockedWeightInput].forEach(input => {
+    input.addEventListener('input', () => showKeywordError('blocked', null));
+  });
+  
   // Remove keywords (event delegation)
   allowedList.addEventListener('click', (e) => {
     if (e.target.tagName === 'BUTTON') {
-      removeKeyword(e.target.dataset.keyword, 'allowed');
+      removeKeyword(e.target.dataset.key, 'allowed');
     }
   });
   blockedList.addEventListener('click', (e) => {
     if (e.target.tagName === 'BUTTON') {
-      removeKeyword(e.target.dataset.keyword, 'blocked');
+      removeKeyword(e.target.dataset.key, 'blocked');
     }
   });
   
+  // Channel rules
+  document.getElementById('addChannel').addEventListener('click', addChannel);
+  channelInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addChannel();
+  });
+  channelInput.addEventListener('input', () => showKeywordError('channel', null));
+  [allowedChannelsEl, blockedChannelsEl].forEach(listEl => {
+    listEl.addEventListener('click', (e) => {
+      if (e.target.tagName === 'BUTTON') {
+        removeChannel(e.target.dataset.key, e.target.dataset.list);
+      }
+    });
+  });
+  
   // Timer controls
   startTimerBtn.addEventListener('click', toggleTimer);
-  resetTimerBtn.addEventListener('click', resetTimer);
+  skipTimerBtn.addEventListener('click', () => sendTimerCommand('TIMER_SKIP'));
+  resetTimerBtn.addEventListener('click', () => sendTimerCommand('TIMER_RESET'));
   
-  // Timer presets
+  // Timer presets set the focus length
   document.querySelectorAll('.preset').forEach(preset => {
     preset.addEventListener('click', () => {
-      document.querySelectorAll('.preset').forEach(p => p.classList.remove('active'));
-      preset.classList.add('active');
-      timerSeconds = parseInt(preset.dataset.time) * 60;
-      updateTimerDisplay();
-      if (isTimerRunning) {
-        stopTimer();
-      }
+      updatePomodoroSetting('workMinutes', parseInt(preset.dataset.time, 10));
+    });
+  });
+  
+  // Break lengths and cycle count
+  document.querySelectorAll('.timer-settings input').forEach(input => {
+    input.addEventListener('change', () => {
+      updatePomodoroSetting(input.dataset.setting, parseInt(input.value, 10));
     });
   });
   
+  // Keep the timer and strict session views in sync with the background worker
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.pomodoroState) {
+      loadTimer();
+    }
+    if (changes.pomodoroState || changes.strictUnlock) {
+      loadStrictState();
+    }
+    if (changes.activeFilter) {
+      loadFilterStatus();
+    }
+  });
+  
+  // History dashboard
+  document.getElementById('openDashboard').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+  
   // Reset stats
   document.getElementById('resetStats').addEventListener('click', async () => {
     if (confirm('Reset all daily stats?')) {
-      await saveSettings({
-        stats: {
-          educationalMinutes: 0,
-          blockedCount: 0,
-          focusStreak: 0,
-          lastActiveDate: new Date().toDateString()
-        }
-      });
-      updateStatsDisplay({ educationalMinutes: 0, blockedCount: 0, focusStreak: 0 });
+      await chrome.runtime.sendMessage({ type: 'RESET_STATS' });
+      await loadStats();
     }
   });
 }
@@ -296,47 +1102,176 @@ function setupEventListeners() {
 /**
  * Timer functions
  */
-function toggleTimer() {
-  if (isTimerRunning) {
-    stopTimer();
-  } else {
-    startTimer();
+async function loadTimer() {
+  try {
+    timerView = await chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' });
+    // Remaining time is relative to when the view was fetched
+    timerView.fetchedAt = Date.now();
+    renderTimer();
+  } catch (error) {
+    console.error('Error loading timer:', error);
   }
 }
 
-function startTimer() {
-  isTimerRunning = true;
-  startTimerBtn.textContent = 'Pause';
-  
-  timerInterval = setInterval(() => {
-    timerSeconds--;
-    updateTimerDisplay();
-    
-    if (timerSeconds <= 0) {
-      stopTimer();
-      chrome.runtime.sendMessage({ type: 'TIMER_COMPLETE' });
-      timerSeconds = 25 * 60;
-      updateTimerDisplay();
+async function sendTimerCommand(type) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+    if (response.refused) {
+      showStrictRefusal(response.refused);
+      return;
     }
-  }, 1000);
+    
+    timerView = response;
+    timerView.fetchedAt = Date.now();
+    renderTimer();
+  } catch (error) {
+    console.error('Error controlling timer:', error);
+  }
+}
+
+function toggleTimer() {
+  if (timerView && timerView.status === 'running') {
+    sendTimerCommand('TIMER_PAUSE');
+  } else {
+    sendTimerCommand('TIMER_START');
+  }
 }
 
-function stopTimer() {
-  isTimerRunning = false;
-  startTimerBtn.textContent = 'Start';
-  clearInterval(timerInterval);
-  timerInterval = null;
+function getRemainingSeconds() {
+  let remainingMs = timerView.remainingMs;
+  if (timerView.status === 'running') {
+    remainingMs -= Date.now() - timerView.fetchedAt;
+  }
+  return Math.max(0, Math.ceil(remainingMs / 1000));
 }
 
-function resetTimer() {
-  stopTimer();
-  const activePreset = document.querySelector('.preset.active');
-  timerSeconds = activePreset ? parseInt(activePreset.dataset.time) * 60 : 25 * 60;
+function renderTimer() {
+  if (!timerView) return;
+  
+  const isRunning = timerView.status === 'running';
+  startTimerBtn.textContent = isRunning ? 'Pause' : (timerView.status === 'paused' ? 'Resume' : 'Start');
+  
+  const session = Math.min(timerView.completedWork + 1, timerView.cyclesBeforeLongBreak);
+  const isBreak = timerView.phase !== 'work';
+  timerPhaseEl.textContent = isBreak
+    ? PHASE_LABELS[timerView.phase]
+    : `${PHASE_LABELS.work} · Session ${session} of ${timerView.cyclesBeforeLongBreak}`;
+  timerPhaseEl.classList.toggle('break', isBreak);
+  
   updateTimerDisplay();
+  
+  // Tick the display locally while the background timer runs
+  clearInterval(timerTickInterval);
+  timerTickInterval = isRunning ? setInterval(updateTimerDisplay, 1000) : null;
 }
 
 function updateTimerDisplay() {
-  const minutes = Math.floor(timerSeconds / 60);
-  const seconds = timerSeconds % 60;
+  const totalSeconds = getRemainingSeconds();
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
   timerDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 }
+
+function renderPomodoroSettings(pomodoro) {
+  pomodoroSettings = pomodoro;
+  
+  document.querySelectorAll('.preset').forEach(preset => {
+    preset.classList.toggle('active', parseInt(preset.dataset.time, 10) === pomodoro.workMinutes);
+  });
+  document.querySelectorAll('.timer-settings input').forEach(input => {
+    input.value = pomodoro[input.dataset.setting];
+  });
+}
+
+async function updatePomodoroSetting(key, value) {
+  const [min, max] = POMODORO_LIMITS[key];
+  if (!(Number.isInteger(value) && value >= min && value <= max)) {
+    renderPomodoroSettings(pomodoroSettings);
+    return;
+  }
+  
+  const pomodoro = { ...pomodoroSettings, [key]: value };
+  if (!await saveSettings({ pomodoro })) return;
+  renderPomodoroSettings(pomodoro);
+  
+  // An idle phase takes its length from settings
+  await loadTimer();
+}
+
+/**
+ * Strict session functions
+ */
+async function loadStrictState() {
+  try {
+    strictState = await chrome.runtime.sendMessage({ type: 'GET_STRICT_STATE' });
+    renderStrictState();
+  } catch (error) {
+    console.error('Error loading strict session:', error);
+  }
+}
+
+function renderStrictState() {
+  const locked = Boolean(strictState && strictState.active);
+  
+  strictBanner.hidden = !locked;
+  document.body.classList.toggle('strict-locked', locked);
+  
+  // The background worker refuses these anyway; disabling them just says so up front
+  focusModeToggle.disabled = locked && focusModeToggle.checked;
+  strictSessionsToggle.disabled = locked;
+  allowedInput.disabled = locked;
+  document.getElementById('addAllowed').disabled = locked;
+  skipTimerBtn.disabled = locked;
+  resetTimerBtn.disabled = locked;
+  
+  if (!locked) {
+    strictMessageEl.textContent = '';
+    clearInterval(strictTickInterval);
+    strictTickInterval = null;
+    return;
+  }
+  
+  document.getElementById('strictPassphrase').textContent = strictState.passphrase;
+  document.getElementById('strictCooldown').textContent = `Unlock after ${strictState.cooldownMinutes} minutes`;
+  updateStrictCountdown();
+  
+  clearInterval(strictTickInterval);
+  strictTickInterval = strictState.unlockAt ? setInterval(updateStrictCountdown, 1000) : null;
+}
+
+function updateStrictCountdown() {
+  const cooldownBtn = document.getElementById('strictCooldown');
+  if (!strictState.unlockAt) {
+    cooldownBtn.disabled = false;
+    return;
+  }
+  
+  const secondsLeft = Math.max(0, Math.ceil((strictState.unlockAt - Date.now()) / 1000));
+  if (secondsLeft === 0) {
+    loadStrictState();
+    return;
+  }
+  
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = secondsLeft % 60;
+  cooldownBtn.disabled = true;
+  cooldownBtn.textContent = `Unlocking in ${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function showStrictRefusal(actions) {
+  strictMessageEl.textContent = `Not while a strict session runs: ${actions.join(', ')}.`;
+  loadStrictState();
+}
+
+async function requestStrictUnlock(passphrase) {
+  try {
+    const message = { type: 'REQUEST_STRICT_UNLOCK' };
+    if (passphrase !== undefined) message.passphrase = passphrase;
+    
+    strictState = await chrome.runtime.sendMessage(message);
+    showKeywordError('strict', strictState.error);
+    renderStrictState();
+  } catch (error) {
+    console.error('Error unlocking strict session:', error);
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * YouTube Focus Mode - Activity Log
+ * Activity (videos watched, videos blocked, sessions) is recorded as
+ * append-only lists of timestamped events in chrome.storage.local, one
+ * key per day, so recording an event only rewrites that day's list.
+ * Daily counters, goal progress and streaks are derived from the log,
+ * never stored.
+ * Days past the retention window survive as per-day summaries in
+ * `activityHistory`.
+ */
+
+const ACTIVITY_EVENTS = {
+  SESSION_STARTED: 'session_started',
+  VIDEO_WATCHED: 'video_watched',
+  VIDEO_BLOCKED: 'video_blocked',
+  // A search query held behind the interstitial; counts as a blocked attempt
+  SEARCH_BLOCKED: 'search_blocked',
+  // "Reset Daily Stats": counters only include events after the last reset
+  STATS_RESET: 'stats_reset',
+  // A blocked video watched anyway ("Allow once" / "Allow for N minutes")
+  BLOCKED_OVERRIDE: 'blocked_override',
+  // Counters carried over from settings saved before the log existed
+  STATS_IMPORTED: 'stats_imported',
+  // A settings change refused because a strict focus session is running
+  STRICT_REFUSED: 'strict_refused',
+  // A strict focus session ended early through the emergency unlock
+  STRICT_UNLOCKED: 'strict_unlocked'
+};
+
+// Shares of the daily goal that trigger a notification, in percent
+const GOAL_MILESTONES = [50, 100];
+
+// Range offered by "Allow all videos for N minutes"
+const WATCH_BYPASS_MINUTES_LIMITS = [1, 120];
+
+// Days whose raw events are kept (today included); older days are rolled
+// up into daily history by the daily maintenance alarm. Only the
+// dashboard's recently watched videos need raw events.
+const ACTIVITY_RETENTION_DAYS = 7;
+
+// Storage key of one day's events: `activityLog:YYYY-MM-DD`
+const ACTIVITY_KEY_PREFIX = 'activityLog:';
+
+/**
+ * Local calendar day of a timestamp, as YYYY-MM-DD
+ */
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Length of an "Allow all videos for N minutes" bypass, clamped to the
+ * offered range. Null unless `minutes` is a finite positive number.
+ */
+function getWatchBypassMinutes(minutes) {
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0) {
+    return null;
+  }
+  const [min, max] = WATCH_BYPASS_MINUTES_LIMITS;
+  return Math.min(max, Math.max(min, Math.round(minutes)));
+}
+
+/**
+ * Storage key holding the events of `dayKey`
+ */
+function getActivityKey(dayKey) {
+  return `${ACTIVITY_KEY_PREFIX}${dayKey}`;
+}
+
+/**
+ * Day of an activity storage key, or null for any other key
+ */
+function getActivityKeyDay(key) {
+  return key.startsWith(ACTIVITY_KEY_PREFIX) ? key.slice(ACTIVITY_KEY_PREFIX.length) : null;
+}
+
+/**
+ * Storage keys of the days still kept as raw events, oldest first
+ */
+function getRecentActivityKeys(now = Date.now()) {
+  const dayKeys = [getDayKey(now)];
+  while (dayKeys.length < ACTIVITY_RETENTION_DAYS) {
+    dayKeys.unshift(getPreviousDayKey(dayKeys[0]));
+  }
+  return dayKeys.map(getActivityKey);
+}
+
+/**
+ * Group events into lists by storage key ({ key: events })
+ */
+function groupActivityByKey(events) {
+  const groups = {};
+  events.forEach(event => {
+    const key = getActivityKey(getDayKey(event.timestamp));
+    (groups[key] = groups[key] || []).push(event);
+  });
+  return groups;
+}
+
+/**
+ * Day key of the day before `dayKey`
+ */
+function getPreviousDayKey(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return getDayKey(new Date(year, month - 1, day - 1).getTime());
+}
+
+// Longest per-day breakdown (topics, channels, terms) kept in summaries
+const MAX_BREAKDOWN_ENTRIES = 20;
+
+/**
+ * Empty per-day summary
+ */
+function createDaySummary() {
+  return {
+    educationalMinutes: 0,
+    blockedCount: 0,
+    sessions: 0,
+    goalMinutes: null,   // daily goal when the day's videos were watched
+    topics: {},          // allowed keyword → educational minutes
+    channels: {},        // channel → educational minutes
+    blockedTerms: {},    // blocked keyword → blocked videos
+    blockedChannels: {}  // channel → blocked videos
+  };
+}
+
+/**
+ * Add `amount` to a breakdown entry
+ */
+function addToBreakdown(breakdown, key, amount) {
+  if (!key) return;
+  breakdown[key] = (breakdown[key] || 0) + amount;
+}
+
+/**
+ * Label used for a channel in breakdowns: its name when known, else handle/ID
+ */
+function getEventChannelLabel(event) {
+  return event.channelName || event.channel || null;
+}
+
+/**
+ * Minutes of playback in a "video watched" event.
+ * Newer events carry exact seconds; older ones whole minutes.
+ */
+function getWatchedMinutes(event) {
+  return typeof event.seconds === 'number' ? event.seconds / 60 : (event.minutes || 0);
+}
+
+/**
+ * Per-video watch time, newest first.
+ * Returns [{ videoId, title, label, channel, seconds, completion, lastWatched }].
+ */
+function summarizeVideos(events) {
+  const videos = new Map();
+  
+  (events || []).forEach(event => {
+    if (event.type !== ACTIVITY_EVENTS.VIDEO_WATCHED || !event.videoId) return;
+    
+    const video = videos.get(event.videoId) || {
+      videoId: event.videoId,
+      seconds: 0,
+      completion: null,
+      lastWatched: 0
+    };
+    
+    video.seconds += getWatchedMinutes(event) * 60;
+    video.title = event.title || video.title;
+    video.label = event.label || video.label || 'educational';
+    video.channel = getEventChannelLabel(event) || video.channel;
+    if (typeof event.completion === 'number') {
+      video.completion = Math.max(video.completion || 0, event.completion);
+    }
+    video.lastWatched = Math.max(video.lastWatched, event.timestamp);
+    
+    videos.set(event.videoId, video);
+  });
+  
+  return [...videos.values()].sort((a, b) => b.lastWatched - a.lastWatched);
+}
+
+/**
+ * Group events by day and add up each day's counters and breakdowns.
+ * Returns a Map of dayKey → day summary (see createDaySummary).
+ *
+ * With `sinceLastReset`, events before the last "Reset Daily Stats" are
+ * ignored; that is what the popup's counters use. History views leave it
+ * off, since a reset should not rewrite the past.
+ */
+function summarizeActivity(events, { sinceLastReset = false } = {}) {
+  const days = new Map();
+  let lastReset = 0;
+  
+  if (sinceLastReset) {
+    (events || []).forEach(event => {
+      if (event.type === ACTIVITY_EVENTS.STATS_RESET) {
+        lastReset = Math.max(lastReset, event.timestamp);
+      }
+    });
+  }
+  
+  (events || []).forEach(event => {
+    if (event.timestamp < lastReset) return;
+    
+    const dayKey = getDayKey(event.timestamp);
+    if (!days.has(dayKey)) {
+      days.set(dayKey, createDaySummary());
+    }
+    const day = days.get(dayKey);
+    
+    switch (event.type) {
+      case ACTIVITY_EVENTS.SESSION_STARTED:
+        day.sessions += 1;
+        break;
+      case ACTIVITY_EVENTS.VIDEO_WATCHED: {
+        if (typeof event.goalMinutes === 'number') {
+          day.goalMinutes = event.goalMinutes;
+        }
+        // Only educational videos count; events recorded before videos were
+        // labelled were all educational
+        if (event.label && event.label !== 'educational') break;
+        const minutes = getWatchedMinutes(event);
+        day.educationalMinutes += minutes;
+        addToBreakdown(day.channels, getEventChannelLabel(event), minutes);
+        (event.terms || []).forEach(term => addToBreakdown(day.topics, term, minutes));
+        break;
+      }
+      case ACTIVITY_EVENTS.VIDEO_BLOCKED:
+        day.blockedCount += event.count || 1;
+        addToBreakdown(day.blockedChannels, getEventChannelLabel(event), 1);
+        (event.terms || []).forEach(term => addToBreakdown(day.blockedTerms, term, 1));
+        break;
+      case ACTIVITY_EVENTS.SEARCH_BLOCKED:
+        day.blockedCount += 1;
+        (event.terms || []).forEach(term => addToBreakdown(day.blockedTerms, term, 1));
+        break;
+      case ACTIVITY_EVENTS.STATS_IMPORTED:
+        day.educationalMinutes += event.educationalMinutes || 0;
+        day.blockedCount += event.blockedCount || 0;
+        day.sessions += 1;
+        break;
+    }
+  });
+  
+  return days;
+}
+
+/**
+ * Keep only the largest entries of a breakdown
+ */
+function trimBreakdown(breakdown, limit = MAX_BREAKDOWN_ENTRIES) {
+  return Object.fromEntries(
+    Object.entries(breakdown || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+  );
+}
+
+/**
+ * Add one day summary into another (both may be partial)
+ */
+function mergeDaySummaries(target, source) {
+  const merged = { ...createDaySummary(), ...target };
+  merged.educationalMinutes += source.educationalMinutes || 0;
+  merged.blockedCount += source.blockedCount || 0;
+  merged.sessions += source.sessions || 0;
+  if (typeof source.goalMinutes === 'number') {
+    merged.goalMinutes = source.goalMinutes;
+  }
+  
+  ['topics', 'channels', 'blockedTerms', 'blockedChannels'].forEach(field => {
+    const breakdown = { ...merged[field] };
+    Object.entries(source[field] || {}).forEach(([key, amount]) => {
+      addToBreakdown(breakdown, key, amount);
+    });
+    merged[field] = trimBreakdown(breakdown);
+  });
+  
+  return merged;
+}
+
+/**
+ * Roll events up into stored daily history ({ dayKey: summary }).
+ * Used when old events are pruned so their days survive as summaries.
+ */
+function rollUpActivity(history, events) {
+  const rolledUp = { ...history };
+  summarizeActivity(events).forEach((summary, dayKey) => {
+    rolledUp[dayKey] = mergeDaySummaries(rolledUp[dayKey] || createDaySummary(), summary);
+  });
+  return rolledUp;
+}
+
+/**
+ * Count consecutive days ending today on which the daily goal was met.
+ * `days` maps dayKey → summary. A streak that last continued yesterday is
+ * still alive until today ends.
+ * Today is judged against `goalMinutes`; past days against the goal they
+ * were watched under, so changing the goal doesn't rewrite them. Days
+ * logged before goals were recorded fall back to `goalMinutes`.
+ */
+function computeStreak(days, todayKey, goalMinutes) {
+  const metGoal = (dayKey) => {
+    const day = days.get(dayKey);
+    if (!day) return false;
+    const goal = dayKey !== todayKey && typeof day.goalMinutes === 'number' ? day.goalMinutes : goalMinutes;
+    return day.educationalMinutes >= goal;
+  };
+  
+  let dayKey = metGoal(todayKey) ? todayKey : getPreviousDayKey(todayKey);
+  let streak = 0;
+  
+  while (metGoal(dayKey)) {
+    streak += 1;
+    dayKey = getPreviousDayKey(dayKey);
+  }
+  
+  return streak;
+}
+
+/**
+ * Today's counters, counted from the last "Reset Daily Stats"
+ */
+function getTodaySummary(events, now = Date.now()) {
+  return summarizeActivity(events, { sinceLastReset: true }).get(getDayKey(now)) || createDaySummary();
+}
+
+/**
+ * Share of the daily goal done, from 0 to 1
+ */
+function getGoalProgress(minutes, goalMinutes) {
+  return goalMinutes > 0 ? Math.min(1, minutes / goalMinutes) : 0;
+}
+
+/**
+ * Milestones (GOAL_MILESTONES) passed on the way from `before` to `after`
+ * educational minutes
+ */
+function getCrossedGoalMilestones(before, after, goalMinutes) {
+  return GOAL_MILESTONES.filter(percent => {
+    const minutes = goalMinutes * percent / 100;
+    return before < minutes && after >= minutes;
+  });
+}
+
+/**
+ * Derive the popup's stats from the event log and rolled-up history.
+ * Today's counters start over at "Reset Daily Stats"; the streak doesn't,
+ * since a reset should not rewrite the past.
+ */
+function getActivityStats(events, { goalMinutes, history = {}, now = Date.now() }) {
+  const todayKey = getDayKey(now);
+  const today = getTodaySummary(events, now);
+  const days = new Map(Object.entries(rollUpActivity(history, events)));
+  
+  return {
+    educationalMinutes: today.educationalMinutes,
+    blockedCount: today.blockedCount,
+    dailyGoalMinutes: goalMinutes,
+    goalProgress: getGoalProgress(today.educationalMinutes, goalMinutes),
+    focusStreak: computeStreak(days, todayKey, goalMinutes)
+  };
+}
+
+/**
+ * Activity storage keys in `keys` for days past the retention window
+ */
+function getExpiredActivityKeys(keys, now = Date.now()) {
+  const oldestKept = getActivityKeyDay(getRecentActivityKeys(now)[0]);
+  return keys.filter(key => {
+    const dayKey = getActivityKeyDay(key);
+    return dayKey !== null && dayKey < oldestKept;
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * YouTube Focus Mode - Channel Rules
+ * Shared parsing and matching for the channel allowlist and blocklist.
+ * Channels are identified by handle (@name) or channel ID (UC…), never by
+ * display name, since display names are neither unique nor stable.
+ */
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+/**
+ * Parse user input or a link href into a channel reference.
+ * Accepts "@handle", "UC…" IDs, "/@handle", "/channel/UC…" and full
+ * youtube.com URLs. Returns { type: 'handle' | 'id', value } or null.
+ */
+function parseChannelRef(input) {
+  let text = String(input || '').trim();
+  if (!text) return null;
+  
+  // Reduce URLs and hrefs to their path
+  const urlMatch = text.match(/^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com(\/.*)?$/i);
+  if (urlMatch) {
+    text = urlMatch[1] || '';
+  }
+  text = text.split(/[?#]/)[0];
+  
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // Keep the raw text if it is not valid percent-encoding
+  }
+  
+  const handleMatch = text.match(/^\/?(@[^/\s]+)/);
+  if (handleMatch) {
+    return { type: 'handle', value: handleMatch[1].toLowerCase() };
+  }
+  
+  const idMatch = text.match(/^(?:\/channel\/)?(UC[\w-]{22})(?:\/|$)/);
+  if (idMatch && CHANNEL_ID_PATTERN.test(idMatch[1])) {
+    return { type: 'id', value: idMatch[1] };
+  }
+  
+  return null;
+}
+
+/**
+ * Identity used to compare and de-duplicate channel references
+ */
+function getChannelRuleKey(ref) {
+  return `${ref.type}:${ref.value}`;
+}
+
+/**
+ * Find the rule that applies to a channel.
+ * `channel` holds whatever identifiers were found on the page: { handle, id }.
+ * Blocklist entries win if a channel somehow appears on both lists.
+ * Returns { list: 'allowed' | 'blocked', rule } or null.
+ */
+function findChannelRule(channelRules, channel) {
+  if (!channelRules || !channel) return null;
+  
+  const keys = [];
+  if (channel.handle) keys.push(getChannelRuleKey({ type: 'handle', value: channel.handle }));
+  if (channel.id) keys.push(getChannelRuleKey({ type: 'id', value: channel.id }));
+  if (keys.length === 0) return null;
+  
+  for (const list of ['blocked', 'allowed']) {
+    const rule = (channelRules[list] || []).find(r => keys.includes(getChannelRuleKey(r)));
+    if (rule) return { list, rule };
+  }
+  
+  return null;
+}
+
+/**
+ * Return new channel rules with `rule` added to `list`.
+ * A channel can only be on one list, so it is removed from the other one.
+ */
+function addChannelRule(channelRules, list, rule) {
+  const key = getChannelRuleKey(rule);
+  const otherList = list === 'allowed' ? 'blocked' : 'allowed';
+  const current = channelRules || { allowed: [], blocked: [] };
+  
+  return {
+    [otherList]: (current[otherList] || []).filter(r => getChannelRuleKey(r) !== key),
+    [list]: [
+      ...(current[list] || []).filter(r => getChannelRuleKey(r) !== key),
+      rule
+    ]
+  };
+}
+
+/**
+ * Return new channel rules with the rule identified by `key` removed from `list`
+ */
+function removeChannelRule(channelRules, list, key) {
+  const current = channelRules || { allowed: [], blocked: [] };
+  return {
+    ...current,
+    [list]: (current[list] || []).filter(r => getChannelRuleKey(r) !== key)
+  };
+}
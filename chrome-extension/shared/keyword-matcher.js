@@ -0,0 +1,248 @@
+/**
+ * YouTube Focus Mode - Keyword Matcher
+ * Shared keyword normalization, validation and matching.
+ * Loaded by the popup (for validation) and the content script (for matching)
+ * so a keyword is interpreted the same way everywhere.
+ */
+
+/**
+ * Supported match modes
+ * - word:   every word of the term appears as a whole word ("ai" won't match "painting")
+ * - phrase: the words appear together, in order, as whole words
+ * - prefix: the term starts a word ("program" matches "programming")
+ * - regex:  user-supplied regular expression (case-insensitive, Unicode)
+ */
+const MATCH_MODES = ['word', 'phrase', 'prefix', 'regex'];
+
+// Letters, combining marks, digits and underscore count as word characters
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+const MAX_REGEX_LENGTH = 200;
+
+// Allowed range for a keyword's weight: [min, max]
+const KEYWORD_WEIGHT_LIMITS = [0.5, 10];
+
+/**
+ * Pick the mode used for keywords saved before match modes existed
+ */
+function getDefaultMatchMode(term) {
+  return /\s/.test(term) ? 'phrase' : 'word';
+}
+
+/**
+ * Normalize a keyword entry to { term, weight, mode }.
+ * Plain strings are treated as weight 1 in their default mode.
+ */
+function normalizeKeyword(keyword) {
+  if (typeof keyword === 'string') {
+    const term = keyword.trim().toLowerCase();
+    return { term, weight: 1, mode: getDefaultMatchMode(term) };
+  }
+  
+  const rawTerm = String((keyword && keyword.term) || '').trim();
+  const mode = MATCH_MODES.includes(keyword && keyword.mode)
+    ? keyword.mode
+    : getDefaultMatchMode(rawTerm);
+  
+  return {
+    // Regex sources keep their case: lowercasing would turn \W into \w
+    term: mode === 'regex' ? rawTerm : rawTerm.toLowerCase(),
+    weight: Number.isFinite(keyword && keyword.weight) ? keyword.weight : 1,
+    mode
+  };
+}
+
+/**
+ * Escape text for literal use inside a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the RegExp list a keyword must satisfy (all of them)
+ */
+function buildKeywordPatterns({ term, mode }) {
+  const before = `(?<!${WORD_CHAR})`;
+  const after = `(?!${WORD_CHAR})`;
+  
+  switch (mode) {
+    case 'regex':
+      return [new RegExp(term, 'iu')];
+      
+    case 'prefix':
+      return [new RegExp(`${before}${escapeRegExp(term)}`, 'iu')];
+      
+    case 'phrase': {
+      const words = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+      return [new RegExp(`${before}${words}${after}`, 'iu')];
+    }
+    
+    case 'word':
+    default:
+      return term.split(/\s+/).map(word => {
+        return new RegExp(`${before}${escapeRegExp(word)}${after}`, 'iu');
+      });
+  }
+}
+
+/**
+ * Validate a keyword before it is saved.
+ * Returns an error message, or null when the keyword is usable.
+ */
+function validateKeyword(keyword) {
+  const { term, weight, mode } = normalizeKeyword(keyword);
+  
+  if (!term) {
+    return 'Keyword cannot be empty';
+  }
+  
+  const [minWeight, maxWeight] = KEYWORD_WEIGHT_LIMITS;
+  if (weight < minWeight || weight > maxWeight) {
+    return `Weight must be from ${minWeight} to ${maxWeight}`;
+  }
+  
+  if (mode !== 'regex') {
+    return null;
+  }
+  
+  if (term.length > MAX_REGEX_LENGTH) {
+    return `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+  }
+  
+  let pattern;
+  try {
+    pattern = new RegExp(term, 'iu');
+  } catch (error) {
+    return error.message;
+  }
+  
+  // A pattern that matches nothing at all would match every title
+  if (pattern.test('')) {
+    return 'Regular expression must not match empty text';
+  }
+  
+  return findUnsafeRegex(term);
+}
+
+/**
+ * Look for the shapes that make a regular expression backtrack
+ * exponentially, since patterns run against every title on the page:
+ * a repeated group that itself repeats (`(a+)+`) or that has alternatives
+ * (`(a|ab)*`). Returns an error message, or null for a safe pattern.
+ */
+function findUnsafeRegex(source) {
+  // One entry per open group: does it contain a repeat or an alternation?
+  const groups = [{ repeats: false, alternates: false }];
+  const isUnbounded = (index) => {
+    if (source[index] === '*' || source[index] === '+') return true;
+    return source[index] === '{' && /^\{\d+,\d*\}/.test(source.slice(index)) &&
+      !/^\{(\d+),\1\}/.test(source.slice(index));
+  };
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Skip the character class; quantifier characters inside are literal
+      i += 1;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i += 1;
+        i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      // Skip (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (source[i + 1] === '?') {
+        const prefix = source.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[^>]*>)/);
+        if (prefix) i += prefix[0].length;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = isUnbounded(i + 1);
+      if (repeated && group.repeats) return 'Nested repeats like (a+)+ can freeze the page';
+      if (repeated && group.alternates) return 'Repeated alternatives like (a|ab)* can freeze the page';
+      if (repeated || group.repeats) groups[groups.length - 1].repeats = true;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (isUnbounded(i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * The keyword with its weight moved into KEYWORD_WEIGHT_LIMITS, so repair
+ * keeps an out-of-range keyword instead of dropping it
+ */
+function clampKeywordWeight(keyword) {
+  if (!keyword || typeof keyword !== 'object' || !Number.isFinite(keyword.weight)) return keyword;
+  
+  const [minWeight, maxWeight] = KEYWORD_WEIGHT_LIMITS;
+  return { ...keyword, weight: Math.min(maxWeight, Math.max(minWeight, keyword.weight)) };
+}
+
+/**
+ * Compile a keyword into a matcher.
+ * Returns null (and logs) when a stored regex no longer compiles.
+ */
+function compileKeyword(keyword) {
+  const normalized = normalizeKeyword(keyword);
+  if (!normalized.term) return null;
+  
+  try {
+    return { ...normalized, patterns: buildKeywordPatterns(normalized) };
+  } catch (error) {
+    console.warn('[Focus Mode] Skipping invalid keyword:', normalized.term, error.message);
+    return null;
+  }
+}
+
+/**
+ * Test a compiled keyword against text
+ */
+function keywordMatches(compiled, text) {
+  return compiled.patterns.every(pattern => pattern.test(text));
+}
+
+/**
+ * Identity used to de-duplicate keywords in a list
+ */
+function getKeywordKey(keyword) {
+  const { term, mode } = normalizeKeyword(keyword);
+  return `${mode}:${term}`;
+}
+
+// Compiled keyword matchers, keyed by mode and term
+const compiledKeywords = new Map();
+
+/**
+ * Get (and cache) the compiled matcher for a keyword
+ */
+function getCompiledKeyword(keyword) {
+  const key = getKeywordKey(keyword);
+  if (!compiledKeywords.has(key)) {
+    compiledKeywords.set(key, compileKeyword(keyword));
+  }
+  const compiled = compiledKeywords.get(key);
+  // Weight is not part of the cache key, so take it from the entry itself
+  return compiled && { ...compiled, weight: normalizeKeyword(keyword).weight };
+}
+
+/**
+ * Collect every keyword from a list that matches the text
+ */
+function findKeywordHits(text, keywords, list) {
+  const hits = [];
+  for (const entry of keywords || []) {
+    const compiled = getCompiledKeyword(entry);
+    if (compiled && keywordMatches(compiled, text)) {
+      hits.push({ term: compiled.term, mode: compiled.mode, weight: compiled.weight, list });
+    }
+  }
+  return hits;
+}
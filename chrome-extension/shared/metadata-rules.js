@@ -0,0 +1,211 @@
+/**
+ * YouTube Focus Mode - Metadata Rules
+ * Rules on what YouTube says about a video rather than its title: length,
+ * view count, live streams, premieres and category. Each rule hides
+ * matching videos or always allows them, optionally only from channels on
+ * the allowlist. Shared parsing, validation, matching and descriptions for
+ * the popup, background worker and content script.
+ *
+ * A rule is { action: 'block' | 'allow', field, op?, value?, channels? }:
+ * - duration: op 'under' | 'over', value in minutes
+ * - views:    op 'under' | 'over', value a view count
+ * - live, premiere: no op or value
+ * - category: value one of YOUTUBE_CATEGORIES (only known on /watch)
+ * `channels: 'allowed'` limits the rule to channels on the allowlist.
+ */
+
+const METADATA_RULE_ACTIONS = ['block', 'allow'];
+
+const METADATA_RULE_FIELDS = ['duration', 'views', 'live', 'premiere', 'category'];
+
+// Fields compared against a number
+const METADATA_NUMERIC_FIELDS = ['duration', 'views'];
+
+// YouTube's video categories, as the player response names them
+const YOUTUBE_CATEGORIES = [
+  'Autos & Vehicles',
+  'Comedy',
+  'Education',
+  'Entertainment',
+  'Film & Animation',
+  'Gaming',
+  'Howto & Style',
+  'Music',
+  'News & Politics',
+  'Nonprofits & Activism',
+  'People & Blogs',
+  'Pets & Animals',
+  'Science & Technology',
+  'Sports',
+  'Travel & Events'
+];
+
+/**
+ * Validate a rule before it is saved.
+ * Returns an error message, or null when the rule is usable.
+ */
+function validateMetadataRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  if (!METADATA_RULE_ACTIONS.includes(rule.action)) return `Action must be one of ${METADATA_RULE_ACTIONS.join(', ')}`;
+  if (!METADATA_RULE_FIELDS.includes(rule.field)) return `Field must be one of ${METADATA_RULE_FIELDS.join(', ')}`;
+  
+  if (METADATA_NUMERIC_FIELDS.includes(rule.field)) {
+    if (!['under', 'over'].includes(rule.op)) return 'Choose under or over';
+    if (!(Number.isFinite(rule.value) && rule.value > 0)) {
+      return rule.field === 'duration' ? 'Enter a number of minutes' : 'Enter a number of views';
+    }
+  }
+  if (rule.field === 'category' && !YOUTUBE_CATEGORIES.includes(rule.value)) {
+    return 'Choose a YouTube category';
+  }
+  if (rule.channels !== undefined && !['any', 'allowed'].includes(rule.channels)) {
+    return 'Channels must be any or allowed';
+  }
+  
+  return null;
+}
+
+/**
+ * Identity used to de-duplicate rules
+ */
+function getMetadataRuleKey(rule) {
+  return JSON.stringify([rule.action, rule.field, rule.op || null, rule.value || null, rule.channels || 'any']);
+}
+
+/**
+ * The rule as a sentence, e.g. "Hide videos shorter than 3 minutes"
+ */
+function describeMetadataRule(rule) {
+  const action = rule.action === 'allow' ? 'Always allow' : 'Hide';
+  let subject;
+  
+  switch (rule.field) {
+    case 'duration':
+      subject = `videos ${rule.op === 'under' ? 'shorter' : 'longer'} than ${rule.value} minute${rule.value === 1 ? '' : 's'}`;
+      break;
+    case 'views':
+      subject = `videos with ${rule.op === 'under' ? 'fewer' : 'more'} than ${rule.value.toLocaleString('en-US')} views`;
+      break;
+    case 'live':
+      subject = 'live streams';
+      break;
+    case 'premiere':
+      subject = 'premieres and upcoming videos';
+      break;
+    case 'category':
+    default:
+      subject = `videos in ${rule.value}`;
+  }
+  
+  return `${action} ${subject}${rule.channels === 'allowed' ? ' from allowed channels' : ''}`;
+}
+
+/**
+ * Whether a rule applies to a video.
+ * `metadata` is { durationSeconds, views, isLive, isUpcoming, category },
+ * null where the page didn't say; a rule never matches on a missing value.
+ */
+function matchesMetadataRule(rule, metadata, channelAllowed) {
+  if (rule.channels === 'allowed' && !channelAllowed) return false;
+  
+  const compare = (actual, limit) => {
+    if (actual === null || actual === undefined) return false;
+    return rule.op === 'under' ? actual < limit : actual > limit;
+  };
+  
+  switch (rule.field) {
+    case 'duration':
+      return compare(metadata.durationSeconds, rule.value * 60);
+    case 'views':
+      return compare(metadata.views, rule.value);
+    case 'live':
+      return metadata.isLive === true;
+    case 'premiere':
+      return metadata.isUpcoming === true;
+    case 'category':
+      return metadata.category === rule.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the rule that decides a video. "Always allow" rules win over
+ * "Hide" rules. Returns { action, rule } or null.
+ */
+function findMetadataRule(rules, metadata, channelAllowed) {
+  if (!rules || rules.length === 0 || !metadata) return null;
+  
+  for (const action of ['allow', 'block']) {
+    const rule = rules.find(candidate => {
+      return candidate.action === action && matchesMetadataRule(candidate, metadata, channelAllowed);
+    });
+    if (rule) return { action, rule };
+  }
+  
+  return null;
+}
+
+/**
+ * Apply a matched rule to a title's classification. A hide rule blocks the
+ * video whatever the title says, as it does over an allowed channel. An
+ * allow rule moves the score one threshold towards educational, so it
+ * settles videos the title leaves neutral but can't outweigh strong keyword
+ * hits the other way. `metadataScore` is what an allow rule added.
+ */
+function applyMetadataRule(classification, match) {
+  if (match.action === 'block') {
+    return { ...classification, label: 'blocked', metadataRule: match.rule };
+  }
+  
+  const { threshold } = classification;
+  const metadataScore = threshold;
+  const score = classification.score + metadataScore;
+  
+  return {
+    ...classification,
+    label: getScoreLabel(score, threshold),
+    score,
+    metadataRule: match.rule,
+    metadataScore
+  };
+}
+
+/**
+ * Seconds in a duration badge ("4:05", "1:02:03"), or null
+ */
+function parseDurationText(text) {
+  const match = String(text || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  
+  const [, hours, minutes, seconds] = match;
+  return (Number(hours) || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * View count in card metadata ("1.2M views", "12,345 views", "No views"),
+ * or null. English abbreviations only.
+ */
+function parseViewCount(text) {
+  const value = String(text || '');
+  if (/\bno views\b/i.test(value)) return 0;
+  
+  const match = value.match(/([\d.,]+)\s*([KMB])?\s+(?:views|watching)\b/i);
+  if (!match) return null;
+  
+  const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+  const number = match[2]
+    ? parseFloat(match[1].replace(/,/g, '')) * multipliers[match[2].toUpperCase()]
+    : parseInt(match[1].replace(/[.,]/g, ''), 10);
+  return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+/**
+ * A string that changes when more of a video's metadata is known, so a
+ * card judged before its badges arrived is judged again
+ */
+function getMetadataSignature(metadata) {
+  return [metadata.durationSeconds, metadata.views, metadata.isLive, metadata.isUpcoming, metadata.category]
+    .map(value => (value === null || value === undefined ? '' : value))
+    .join('|');
+}
@@ -0,0 +1,204 @@
+/**
+ * YouTube Focus Mode - Filter Profiles
+ * A profile is a named set of filters (keywords, channel and metadata
+ * rules, Shorts, homepage and watch page behaviour) that can be switched in
+ * one go. Settings keep a list of profiles plus the one picked by hand; the
+ * schedule may pick another.
+ * Shared by the background worker, popup and content script. Depends on
+ * keyword-matcher.js, channel-rules.js and metadata-rules.js.
+ */
+
+const SHORTS_MODES = ['redirect', 'block'];
+
+// Related videos on /watch, least to most strict: left alone, run through
+// the classifier, or hidden wholesale
+const RELATED_VIDEO_MODES = ['show', 'filter', 'hide'];
+
+// Watch page distractions that can be switched off (true hides them)
+const WATCH_PAGE_TOGGLES = ['hideComments', 'hideEndScreen', 'disableAutoplay', 'hideLiveChat', 'hideMerch'];
+
+// How each watch page toggle reads in summaries
+const WATCH_PAGE_TOGGLE_NAMES = {
+  hideComments: 'Hide comments',
+  hideEndScreen: 'Hide end-screen cards',
+  disableAutoplay: 'Turn off autoplay',
+  hideLiveChat: 'Hide live chat',
+  hideMerch: 'Hide merch shelves'
+};
+
+// Settings that belong to a profile rather than to the extension as a whole
+const PROFILE_FIELDS = [
+  'allowedKeywords',
+  'blockedKeywords',
+  'channelRules',
+  'metadataRules',
+  'shortsMode',
+  'replaceHomepage',
+  'watchPage'
+];
+
+/**
+ * Find a profile by ID, falling back to the one picked by hand
+ */
+function getProfile(settings, profileId) {
+  return settings.profiles.find(profile => profile.id === profileId) ||
+    settings.profiles.find(profile => profile.id === settings.activeProfileId) ||
+    settings.profiles[0];
+}
+
+/**
+ * Settings with a profile's filters laid over the top level, the shape the
+ * filtering code reads (`settings.allowedKeywords` and so on)
+ */
+function getProfileSettings(settings, profileId) {
+  const profile = getProfile(settings, profileId);
+  const flattened = { ...settings, profileId: profile.id, profileName: profile.name };
+  PROFILE_FIELDS.forEach(field => {
+    flattened[field] = profile[field];
+  });
+  return flattened;
+}
+
+/**
+ * Pick an ID for a new profile from its name, unique among `profiles`
+ */
+function createProfileId(name, profiles) {
+  const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  const taken = new Set(profiles.map(profile => profile.id));
+  
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Check one profile.
+ * Returns a list of error messages, empty if the profile is valid.
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+  
+  const errors = [];
+  
+  if (typeof profile.id !== 'string' || !profile.id) {
+    errors.push('Missing profile ID');
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('Missing profile name');
+  }
+  
+  ['allowedKeywords', 'blockedKeywords'].forEach(field => {
+    if (!Array.isArray(profile[field])) {
+      errors.push(`"${field}" must be a list of keywords`);
+      return;
+    }
+    profile[field].forEach(keyword => {
+      const error = validateKeyword(keyword);
+      if (error) errors.push(`"${normalizeKeyword(keyword).term}": ${error}`);
+    });
+  });
+  
+  const channelRules = profile.channelRules;
+  if (!channelRules || typeof channelRules !== 'object') {
+    errors.push('Channel rules must have allowed and blocked lists');
+  } else {
+    ['allowed', 'blocked'].forEach(list => {
+      if (!Array.isArray(channelRules[list])) {
+        errors.push(`Channel rules "${list}" must be a list`);
+        return;
+      }
+      channelRules[list].forEach(rule => {
+        if (!rule || !parseChannelRef(rule.value)) {
+          errors.push(`Invalid channel in "${list}": ${rule && rule.value}`);
+        }
+      });
+    });
+  }
+  
+  if (!Array.isArray(profile.metadataRules)) {
+    errors.push('Metadata rules must be a list');
+  } else {
+    profile.metadataRules.forEach(rule => {
+      const error = validateMetadataRule(rule);
+      if (error) errors.push(`Invalid metadata rule: ${error}`);
+    });
+  }
+  
+  if (!SHORTS_MODES.includes(profile.shortsMode)) {
+    errors.push(`"shortsMode" must be one of ${SHORTS_MODES.join(', ')}`);
+  }
+  if (typeof profile.replaceHomepage !== 'boolean') {
+    errors.push('"replaceHomepage" must be true or false');
+  }
+  
+  const watchPage = profile.watchPage;
+  if (!watchPage || typeof watchPage !== 'object') {
+    errors.push('Watch page options must be an object');
+  } else {
+    if (!RELATED_VIDEO_MODES.includes(watchPage.relatedVideos)) {
+      errors.push(`"relatedVideos" must be one of ${RELATED_VIDEO_MODES.join(', ')}`);
+    }
+    WATCH_PAGE_TOGGLES.forEach(key => {
+      if (typeof watchPage[key] !== 'boolean') errors.push(`"${key}" must be true or false`);
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Fix a profile that failed validation: keyword weights are clamped,
+ * invalid keywords, channel rules and metadata rules are dropped one by
+ * one, other broken fields take the value from `defaults`. Returns null if the profile can't be identified at all.
+ */
+function repairProfile(profile, defaults) {
+  if (!profile || typeof profile !== 'object' || typeof profile.id !== 'string' || !profile.id) {
+    return null;
+  }
+  
+  const repaired = { ...profile };
+  
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    repaired.name = profile.id;
+  }
+  
+  ['allowedKeywords', 'blockedKeywords'].forEach(field => {
+    repaired[field] = Array.isArray(profile[field])
+      ? profile[field].map(clampKeywordWeight).filter(keyword => !validateKeyword(keyword))
+      : defaults[field];
+  });
+  
+  const channelRules = profile.channelRules && typeof profile.channelRules === 'object'
+    ? profile.channelRules
+    : {};
+  repaired.channelRules = {};
+  ['allowed', 'blocked'].forEach(list => {
+    const rules = Array.isArray(channelRules[list]) ? channelRules[list] : [];
+    repaired.channelRules[list] = rules.filter(rule => rule && parseChannelRef(rule.value));
+  });
+  
+  repaired.metadataRules = Array.isArray(profile.metadataRules)
+    ? profile.metadataRules.filter(rule => !validateMetadataRule(rule))
+    : [];
+  
+  if (!SHORTS_MODES.includes(profile.shortsMode)) {
+    repaired.shortsMode = defaults.shortsMode;
+  }
+  if (typeof profile.replaceHomepage !== 'boolean') {
+    repaired.replaceHomepage = defaults.replaceHomepage;
+  }
+  
+  // Watch page options are repaired one by one
+  const watchPage = profile.watchPage && typeof profile.watchPage === 'object' ? profile.watchPage : {};
+  repaired.watchPage = { ...defaults.watchPage };
+  if (RELATED_VIDEO_MODES.includes(watchPage.relatedVideos)) {
+    repaired.watchPage.relatedVideos = watchPage.relatedVideos;
+  }
+  WATCH_PAGE_TOGGLES.forEach(key => {
+    if (typeof watchPage[key] === 'boolean') repaired.watchPage[key] = watchPage[key];
+  });
+  
+  return repaired;
+}
@@ -0,0 +1,193 @@
+/**
+ * YouTube Focus Mode - Focus Schedule
+ * Time-of-day and weekday rules that pick a filter level: strict (all
+ * filtering), relaxed (feeds are filtered but pages are never taken over)
+ * or off, and optionally a filter profile. Rules are evaluated in local
+ * time; the first matching rule wins and `defaultLevel` applies outside
+ * every rule. Depends on profiles.js.
+ */
+
+const FILTER_LEVELS = {
+  STRICT: 'strict',
+  RELAXED: 'relaxed',
+  OFF: 'off'
+};
+
+const FILTER_LEVEL_LABELS = {
+  strict: 'Strict',
+  relaxed: 'Relaxed',
+  off: 'Off'
+};
+
+// Day numbers follow Date#getDay(): 0 is Sunday
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SCHEDULE_DAY_PRESETS = {
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+// "HH:MM", 00:00 to 24:00
+const SCHEDULE_TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ */
+function parseScheduleTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check a schedule rule.
+ * Returns an error message, or null if the rule is valid.
+ */
+function validateScheduleRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  
+  if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+      !rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return 'Pick at least one day';
+  }
+  if (!SCHEDULE_TIME_PATTERN.test(rule.start) || !SCHEDULE_TIME_PATTERN.test(rule.end)) {
+    return 'Times must be HH:MM';
+  }
+  if (!Object.values(FILTER_LEVELS).includes(rule.level)) {
+    return `Level must be one of ${Object.values(FILTER_LEVELS).join(', ')}`;
+  }
+  if (rule.profileId != null && typeof rule.profileId !== 'string') {
+    return 'Profile must be a profile ID';
+  }
+  
+  return null;
+}
+
+/**
+ * Does `rule` cover this moment?
+ * A rule whose end is not after its start runs overnight into the next
+ * day (so 00:00–00:00 covers whole days).
+ */
+function scheduleRuleMatches(rule, date) {
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = parseScheduleTime(rule.start);
+  const end = parseScheduleTime(rule.end);
+  
+  if (start < end) {
+    return rule.days.includes(day) && minute >= start && minute < end;
+  }
+  
+  const previousDay = (day + 6) % 7;
+  return (rule.days.includes(day) && minute >= start) ||
+    (rule.days.includes(previousDay) && minute < end);
+}
+
+/**
+ * The rule in effect at `date`, or null
+ */
+function findScheduleRule(schedule, date) {
+  return schedule.rules.find(rule => scheduleRuleMatches(rule, date)) || null;
+}
+
+/**
+ * What the schedule asks for at `date`: { level, profileId }.
+ * profileId is null unless the matching rule picks a profile.
+ */
+function getScheduledState(schedule, date) {
+  const rule = findScheduleRule(schedule, date);
+  return rule
+    ? { level: rule.level, profileId: rule.profileId || null }
+    : { level: schedule.defaultLevel, profileId: null };
+}
+
+/**
+ * When the scheduled level or profile next changes, looking up to a week
+ * ahead. Returns { at: timestamp, level, profileId } or null if it never
+ * changes.
+ */
+function getNextScheduleChange(schedule, date) {
+  const stateKey = at => {
+    const state = getScheduledState(schedule, new Date(at));
+    return `${state.level}:${state.profileId}`;
+  };
+  const current = stateKey(date.getTime());
+  const boundaries = [];
+  
+  // Every rule start and end over the next 8 days; the level can only change at one of these
+  for (let offset = 0; offset <= 7; offset++) {
+    schedule.rules.forEach(rule => {
+      const start = parseScheduleTime(rule.start);
+      let end = parseScheduleTime(rule.end);
+      if (end <= start) end += 24 * 60;
+      
+      [start, end].forEach(minute => {
+        boundaries.push(new Date(
+          date.getFullYear(), date.getMonth(), date.getDate() + offset, 0, minute
+        ).getTime());
+      });
+    });
+  }
+  
+  const next = boundaries
+    .filter(at => at > date.getTime())
+    .sort((a, b) => a - b)
+    .find(at => stateKey(at) !== current);
+  
+  return next ? { at: next, ...getScheduledState(schedule, new Date(next)) } : null;
+}
+
+/**
+ * Work out the filter level and profile in effect, and why.
+ * Focus mode off beats everything; a strict focus session beats the
+ * schedule and keeps the profile picked by hand.
+ * Returns { level, profileId, source, nextChange }.
+ */
+function getFilterStatus(settings, date, strictSessionActive) {
+  const manualProfileId = getProfile(settings, settings.activeProfileId).id;
+  
+  if (!settings.focusModeEnabled) {
+    return { level: FILTER_LEVELS.OFF, profileId: manualProfileId, source: 'manual', nextChange: null };
+  }
+  if (strictSessionActive) {
+    return { level: FILTER_LEVELS.STRICT, profileId: manualProfileId, source: 'strictSession', nextChange: null };
+  }
+  if (!settings.schedule.enabled) {
+    return { level: FILTER_LEVELS.STRICT, profileId: manualProfileId, source: 'manual', nextChange: null };
+  }
+  
+  const scheduled = getScheduledState(settings.schedule, date);
+  return {
+    level: scheduled.level,
+    // Rules naming a deleted profile fall back to the one picked by hand
+    profileId: getProfile(settings, scheduled.profileId).id,
+    source: 'schedule',
+    nextChange: getNextScheduleChange(settings.schedule, date)
+  };
+}
+
+/**
+ * Settings as the content script should see them: the profile in effect
+ * flattened in, plus the filter level. `focusModeEnabled` is folded in so
+ * "off" switches every filter off.
+ */
+function applyFilterStatus(settings, status) {
+  return {
+    ...getProfileSettings(settings, status.profileId),
+    filterLevel: status.level,
+    focusModeEnabled: status.level !== FILTER_LEVELS.OFF
+  };
+}
+
+/**
+ * Short label for a set of days, e.g. "Weekdays" or "Mon, Wed"
+ */
+function describeScheduleDays(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const key = sorted.join(',');
+  
+  if (key === SCHEDULE_DAY_PRESETS.everyday.join(',')) return 'Every day';
+  if (key === SCHEDULE_DAY_PRESETS.weekdays.join(',')) return 'Weekdays';
+  if (key === SCHEDULE_DAY_PRESETS.weekends.join(',')) return 'Weekends';
+  return sorted.map(day => DAY_NAMES[day]).join(', ');
+}
@@ -0,0 +1,335 @@
+/**
+ * YouTube Focus Mode - Settings Import/Export
+ * Builds and reads settings backups: a versioned JSON file with every
+ * setting, or a plain keyword list with one keyword per line. Imports are
+ * parsed and validated first, then merged into (or swapped for) the current
+ * settings so the caller can show a preview before saving.
+ * Depends on keyword-matcher.js, channel-rules.js, profiles.js, schedule.js,
+ * subscriptions.js and settings.js.
+ */
+
+const EXPORT_FORMAT = 'youtube-focus-mode-settings';
+
+// Bump when the export wrapper itself changes; the settings inside carry
+// their own schemaVersion and go through the normal migrations
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Wrap settings in the export format
+ */
+function createSettingsExport(settings, now = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    settings
+  };
+}
+
+/**
+ * A keyword list as plain text, one keyword per line.
+ * Regex keywords are written as /pattern/; weights and the other match
+ * modes only survive a JSON export.
+ */
+function formatKeywordList(keywords) {
+  return keywords
+    .map(normalizeKeyword)
+    .map(keyword => keyword.mode === 'regex' ? `/${keyword.term}/` : keyword.term)
+    .join('\n') + '\n';
+}
+
+/**
+ * Read pasted or uploaded text: a JSON settings export, or failing that a
+ * plain keyword list.
+ * Returns { kind: 'settings', settings }, { kind: 'keywords', keywords,
+ * skipped } or { kind: 'error', errors }.
+ */
+function parseSettingsImport(text) {
+  const trimmed = String(text || '').trim();
+  
+  if (!trimmed) {
+    return { kind: 'error', errors: ['Nothing to import'] };
+  }
+  if (trimmed.startsWith('{')) {
+    return parseSettingsExport(trimmed);
+  }
+  return parseKeywordList(trimmed);
+}
+
+/**
+ * Parse a JSON settings export, migrating older schema versions
+ */
+function parseSettingsExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { kind: 'error', errors: [`Not valid JSON: ${error.message}`] };
+  }
+  
+  if (!data || data.format !== EXPORT_FORMAT) {
+    return { kind: 'error', errors: ['Not a Focus Mode settings export'] };
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > EXPORT_FORMAT_VERSION ||
+      (data.settings && data.settings.schemaVersion > SETTINGS_SCHEMA_VERSION)) {
+    return { kind: 'error', errors: ['Exported by a newer version of the extension; update it first'] };
+  }
+  if (!data.settings || typeof data.settings !== 'object') {
+    return { kind: 'error', errors: ['The export has no settings in it'] };
+  }
+  
+  let settings;
+  try {
+    settings = migrateSettings(data.settings);
+  } catch (error) {
+    return { kind: 'error', errors: [error.message] };
+  }
+  
+  const { valid, errors } = validateSettings(settings);
+  if (!valid) {
+    return {
+      kind: 'error',
+      errors: errors.map(error => error.field ? `${error.field}: ${error.message}` : error.message)
+    };
+  }
+  
+  return { kind: 'settings', settings };
+}
+
+/**
+ * Parse a newline-separated keyword list.
+ * Blank lines and lines starting with # are ignored, /pattern/ is a regex
+ * keyword, and duplicates are dropped. Invalid lines are reported in
+ * `skipped` rather than failing the whole list.
+ */
+function parseKeywordList(text) {
+  const keywords = [];
+  const skipped = [];
+  const seen = new Set();
+  
+  text.split(/\r?\n/).forEach((line, index) => {
+    const term = line.trim();
+    if (!term || term.startsWith('#')) return;
+    
+    const regex = term.match(/^\/(.+)\/$/);
+    const keyword = normalizeKeyword(regex ? { term: regex[1], mode: 'regex' } : term);
+    const error = validateKeyword(keyword);
+    if (error) {
+      skipped.push(`Line ${index + 1} ("${term}"): ${error}`);
+      return;
+    }
+    
+    const key = getKeywordKey(keyword);
+    if (seen.has(key)) return;
+    seen.add(key);
+    keywords.push(keyword);
+  });
+  
+  if (keywords.length === 0) {
+    return { kind: 'error', errors: skipped.length > 0 ? skipped : ['No keywords found'] };
+  }
+  
+  return { kind: 'keywords', keywords, skipped };
+}
+
+/**
+ * `current` plus every keyword of `incoming` it doesn't already have
+ */
+function mergeKeywords(current, incoming) {
+  const keys = new Set(current.map(getKeywordKey));
+  return [...current, ...incoming.filter(keyword => !keys.has(getKeywordKey(keyword)))];
+}
+
+/**
+ * `current` plus every channel of `incoming` it doesn't already list.
+ * A channel already allowed or blocked keeps its current list.
+ */
+function mergeChannelRules(current, incoming) {
+  const keys = new Set([...current.allowed, ...current.blocked].map(getChannelRuleKey));
+  const merged = { ...current };
+  
+  ['allowed', 'blocked'].forEach(list => {
+    merged[list] = [
+      ...current[list],
+      ...incoming[list].filter(rule => !keys.has(getChannelRuleKey(rule)))
+    ];
+  });
+  return merged;
+}
+
+/**
+ * `current` plus every metadata rule of `incoming` it doesn't already have
+ */
+function mergeMetadataRules(current, incoming) {
+  const keys = new Set(current.map(getMetadataRuleKey));
+  return [...current, ...incoming.filter(rule => !keys.has(getMetadataRuleKey(rule)))];
+}
+
+/**
+ * Merge imported profiles into the current ones.
+ * Profiles with the same ID get the union of their keywords, channels and
+ * metadata rules (current options win); new profiles are added as they are.
+ */
+function mergeProfiles(current, incoming) {
+  const merged = current.map(profile => {
+    const match = incoming.find(candidate => candidate.id === profile.id);
+    if (!match) return profile;
+    
+    return {
+      ...profile,
+      allowedKeywords: mergeKeywords(profile.allowedKeywords, match.allowedKeywords),
+      blockedKeywords: mergeKeywords(profile.blockedKeywords, match.blockedKeywords),
+      channelRules: mergeChannelRules(profile.channelRules, match.channelRules),
+      metadataRules: mergeMetadataRules(profile.metadataRules, match.metadataRules)
+    };
+  });
+  
+  const ids = new Set(current.map(profile => profile.id));
+  return [...merged, ...incoming.filter(profile => !ids.has(profile.id))];
+}
+
+/**
+ * Add imported subscriptions to lists not subscribed to yet
+ */
+function mergeSubscriptions(current, incoming) {
+  const urls = new Set(current.map(subscription => subscription.url));
+  const ids = new Set(current.map(subscription => subscription.id));
+  const added = incoming
+    .filter(subscription => !urls.has(subscription.url))
+    .map(subscription => {
+      let id = subscription.id;
+      for (let n = 2; ids.has(id); n++) {
+        id = `${subscription.id}-${n}`;
+      }
+      ids.add(id);
+      return { ...subscription, id };
+    });
+  return [...current, ...added];
+}
+
+/**
+ * The settings an import would produce.
+ * `mode` is merge or replace. Keyword lists go into `list`
+ * (allowedKeywords or blockedKeywords) of profile `profileId`.
+ */
+function applySettingsImport(current, parsed, { mode, profileId, list }) {
+  if (parsed.kind === 'settings') {
+    return mode === 'replace'
+      ? parsed.settings
+      : {
+        ...current,
+        profiles: mergeProfiles(current.profiles, parsed.settings.profiles),
+        subscriptions: mergeSubscriptions(current.subscriptions, parsed.settings.subscriptions)
+      };
+  }
+  
+  const target = getProfile(current, profileId);
+  return {
+    ...current,
+    profiles: current.profiles.map(profile => {
+      if (profile.id !== target.id) return profile;
+      return {
+        ...profile,
+        [list]: mode === 'replace' ? parsed.keywords : mergeKeywords(profile[list], parsed.keywords)
+      };
+    })
+  };
+}
+
+/**
+ * Describe how `next` differs from `current`, for the import preview.
+ * Returns a list of { change: 'added'|'removed'|'changed', text }.
+ */
+function diffSettings(current, next) {
+  const changes = [];
+  const add = (change, text) => changes.push({ change, text });
+  
+  const describeKeyword = keyword => {
+    const { term, mode } = normalizeKeyword(keyword);
+    return mode === 'regex' ? `/${term}/` : `"${term}"`;
+  };
+  const diffList = (before, after, keyOf, describe, label) => {
+    const beforeKeys = new Set(before.map(keyOf));
+    const afterKeys = new Set(after.map(keyOf));
+    after.filter(item => !beforeKeys.has(keyOf(item)))
+      .forEach(item => add('added', `${label} ${describe(item)}`));
+    before.filter(item => !afterKeys.has(keyOf(item)))
+      .forEach(item => add('removed', `${label} ${describe(item)}`));
+  };
+  
+  next.profiles.forEach(profile => {
+    const existing = current.profiles.find(candidate => candidate.id === profile.id);
+    if (!existing) {
+      const channels = profile.channelRules.allowed.length + profile.channelRules.blocked.length;
+      add('added', `Profile "${profile.name}" (${profile.allowedKeywords.length} allowed and ` +
+        `${profile.blockedKeywords.length} blocked keywords, ${channels} channels)`);
+      return;
+    }
+    
+    const prefix = `${profile.name}:`;
+    if (existing.name !== profile.name) {
+      add('changed', `Profile "${existing.name}" renamed to "${profile.name}"`);
+    }
+    diffList(existing.allowedKeywords, profile.allowedKeywords, getKeywordKey, describeKeyword,
+      `${prefix} allowed keyword`);
+    diffList(existing.blockedKeywords, profile.blockedKeywords, getKeywordKey, describeKeyword,
+      `${prefix} blocked keyword`);
+    ['allowed', 'blocked'].forEach(list => {
+      diffList(existing.channelRules[list], profile.channelRules[list], getChannelRuleKey,
+        rule => rule.name || rule.value, `${prefix} ${list} channel`);
+    });
+    diffList(existing.metadataRules, profile.metadataRules, getMetadataRuleKey,
+      rule => `"${describeMetadataRule(rule)}"`, `${prefix} rule`);
+    if (existing.shortsMode !== profile.shortsMode) {
+      add('changed', `${prefix} Shorts mode ${existing.shortsMode} → ${profile.shortsMode}`);
+    }
+    if (existing.replaceHomepage !== profile.replaceHomepage) {
+      add('changed', `${prefix} ${profile.replaceHomepage ? 'Replace' : 'Keep'} the YouTube homepage`);
+    }
+    if (existing.watchPage.relatedVideos !== profile.watchPage.relatedVideos) {
+      add('changed', `${prefix} Related videos ${existing.watchPage.relatedVideos} → ${profile.watchPage.relatedVideos}`);
+    }
+    WATCH_PAGE_TOGGLES
+      .filter(key => existing.watchPage[key] !== profile.watchPage[key])
+      .forEach(key => add('changed', `${prefix} ${WATCH_PAGE_TOGGLE_NAMES[key]} ${profile.watchPage[key] ? 'on' : 'off'}`));
+  });
+  
+  current.profiles
+    .filter(profile => !next.profiles.some(candidate => candidate.id === profile.id))
+    .forEach(profile => add('removed', `Profile "${profile.name}"`));
+  
+  if (current.activeProfileId !== next.activeProfileId) {
+    add('changed', `Active profile → "${getProfile(next, next.activeProfileId).name}"`);
+  }
+  if (current.focusModeEnabled !== next.focusModeEnabled) {
+    add('changed', `Focus mode ${next.focusModeEnabled ? 'on' : 'off'}`);
+  }
+  if (current.classificationThreshold !== next.classificationThreshold) {
+    add('changed', `Classification threshold ${current.classificationThreshold} → ${next.classificationThreshold}`);
+  }
+  if (current.strictSessions !== next.strictSessions) {
+    add('changed', `Strict sessions ${next.strictSessions ? 'on' : 'off'}`);
+  }
+  if (current.searchNudges !== next.searchNudges) {
+    add('changed', `Search suggestions ${next.searchNudges ? 'on' : 'off'}`);
+  }
+  if (current.blockedDisplay !== next.blockedDisplay) {
+    add('changed', `Blocked videos ${next.blockedDisplay === 'collapse' ? 'collapsed' : 'hidden'}`);
+  }
+  if (current.classifierBackend !== next.classifierBackend) {
+    add('changed', `Classifier → ${CLASSIFIER_BACKENDS[next.classifierBackend].name}`);
+  }
+  if (current.dailyGoalMinutes !== next.dailyGoalMinutes) {
+    add('changed', `Daily goal ${current.dailyGoalMinutes} → ${next.dailyGoalMinutes} minutes`);
+  }
+  if (JSON.stringify(current.pomodoro) !== JSON.stringify(next.pomodoro)) {
+    add('changed', 'Pomodoro timer settings');
+  }
+  diffList(current.subscriptions, next.subscriptions, subscription => subscription.url,
+    subscription => subscription.url, 'Subscribed list');
+  if (JSON.stringify(current.schedule) !== JSON.stringify(next.schedule)) {
+    add('changed', `Focus schedule (${next.schedule.enabled ? 'on' : 'off'}, ${next.schedule.rules.length} rules)`);
+  }
+  
+  return changes;
+}
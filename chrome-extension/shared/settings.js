@@ -0,0 +1,520 @@
+/**
+ * YouTube Focus Mode - Settings
+ * The single source of default settings, plus schema versioning,
+ * validation, migrations and the chrome.storage.sync layout. Shared by the
+ * background worker, popup and content script. Depends on keyword-matcher.js, channel-rules.js,
+ * profiles.js, schedule.js and subscriptions.js.
+ */
+
+// Bump this and add a migration below whenever the settings shape changes
+const SETTINGS_SCHEMA_VERSION = 13;
+
+// How blocked cards show in feeds: removed, or collapsed to a one-line note
+const BLOCKED_DISPLAY_MODES = ['hide', 'collapse'];
+
+// Default settings
+const DEFAULT_SETTINGS = {
+  schemaVersion: SETTINGS_SCHEMA_VERSION,
+  focusModeEnabled: true,
+  // Keywords, channel rules, Shorts, homepage and watch page behaviour, per profile
+  profiles: [
+    {
+      id: 'default',
+      name: 'Default',
+      allowedKeywords: [
+        'tutorial', 'course', 'lecture', 'coding', 'programming',
+        'java', 'python', 'javascript', 'react', 'node',
+        'dsa', 'data structures', 'algorithms', 'system design',
+        'ai', 'machine learning', 'deep learning', 'ml',
+        'web development', 'app development', 'frontend', 'backend',
+        'computer science', 'engineering', 'mathematics', 'calculus',
+        'interview', 'career', 'placement', 'leetcode', 'competitive programming'
+      ],
+      blockedKeywords: [
+        'prank', 'vlog', 'roast', 'shorts', 'gaming', 'gameplay',
+        'reaction', 'comedy', 'movie', 'music video', 'trailer',
+        'tiktok', 'funny', 'meme', 'challenge', 'unboxing',
+        'asmr', 'mukbang', 'drama', 'gossip', 'celebrity'
+      ],
+      channelRules: {
+        allowed: [],
+        blocked: []
+      },
+      // Length, views, live, premiere and category rules (metadata-rules.js)
+      metadataRules: [],
+      shortsMode: 'redirect',
+      replaceHomepage: true,
+      // Distractions around the video on /watch
+      watchPage: {
+        relatedVideos: 'filter',
+        hideComments: false,
+        hideEndScreen: true,
+        disableAutoplay: true,
+        hideLiveChat: false,
+        hideMerch: true
+      }
+    }
+  ],
+  // The profile picked by hand; a schedule rule may pick another
+  activeProfileId: 'default',
+  classificationThreshold: 1,
+  pomodoro: {
+    workMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4
+  },
+  // Lock the filters while a Pomodoro focus phase is running
+  strictSessions: false,
+  // Suggest study-oriented searches for neutral search queries
+  searchNudges: true,
+  // Blocked cards removed from feeds, or collapsed to a note saying why
+  blockedDisplay: 'hide',
+  // What classifies titles: the keyword lists, or the on-device model
+  // trained from feedback (see text-classifier.js)
+  classifierBackend: 'keywords',
+  // Educational minutes a day that count towards the streak
+  dailyGoalMinutes: 30,
+  // Filter level by time of day; strict all the time while disabled
+  schedule: {
+    enabled: false,
+    defaultLevel: 'strict',
+    rules: [
+      { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00', level: 'strict' },
+      { days: [1, 2, 3, 4, 5], start: '18:00', end: '00:00', level: 'relaxed' },
+      { days: [0, 6], start: '00:00', end: '00:00', level: 'off' }
+    ]
+  },
+  // Remote keyword/channel lists: [{ id, url, enabled }]
+  subscriptions: []
+};
+
+// Allowed range for each Pomodoro setting: [min, max]
+const POMODORO_LIMITS = {
+  workMinutes: [1, 180],
+  shortBreakMinutes: [1, 60],
+  longBreakMinutes: [1, 120],
+  cyclesBeforeLongBreak: [1, 12]
+};
+
+// Allowed range for the classification threshold: [min, max]
+const CLASSIFICATION_THRESHOLD_LIMITS = [0.5, 10];
+
+// Allowed range for the daily goal, in minutes: [min, max]
+const DAILY_GOAL_LIMITS = [5, 600];
+
+/**
+ * Migrations, keyed by the schema version they upgrade *from*.
+ * Each one receives settings at that version and returns the next version.
+ */
+const SETTINGS_MIGRATIONS = {
+  // 0 → 1: settings saved before versioning. Fill every field added since
+  // (threshold, channel rules, Shorts mode) without touching user data.
+  0: (settings) => {
+    const defaults = getDefaultSettings();
+    return {
+      ...defaults,
+      ...settings,
+      channelRules: { ...defaults.channelRules, ...settings.channelRules },
+      schemaVersion: 1
+    };
+  },
+  
+  // 1 → 2: stats moved out of sync storage into the local activity log
+  1: (settings) => {
+    const { stats, ...rest } = settings;
+    return { ...rest, schemaVersion: 2 };
+  },
+  
+  // 2 → 3: configurable Pomodoro cycles
+  2: (settings) => ({
+    ...settings,
+    pomodoro: getDefaultSettings().pomodoro,
+    schemaVersion: 3
+  }),
+  
+  // 3 → 4: strict focus sessions, off by default
+  3: (settings) => ({
+    ...settings,
+    strictSessions: false,
+    schemaVersion: 4
+  }),
+  
+  // 4 → 5: focus schedules, disabled by default
+  4: (settings) => ({
+    ...settings,
+    schedule: getDefaultSettings().schedule,
+    schemaVersion: 5
+  }),
+  
+  // 5 → 6: filters move into named profiles; the existing ones become
+  // the "Default" profile
+  5: (settings) => {
+    const { allowedKeywords, blockedKeywords, channelRules, shortsMode, ...rest } = settings;
+    const defaultProfile = getDefaultSettings().profiles[0];
+    return {
+      ...rest,
+      profiles: [{
+        ...defaultProfile,
+        allowedKeywords: allowedKeywords || defaultProfile.allowedKeywords,
+        blockedKeywords: blockedKeywords || defaultProfile.blockedKeywords,
+        channelRules: { ...defaultProfile.channelRules, ...channelRules },
+        shortsMode: shortsMode || defaultProfile.shortsMode
+      }],
+      activeProfileId: defaultProfile.id,
+      schemaVersion: 6
+    };
+  },
+  
+  // 6 → 7: subscribed remote lists, none by default
+  6: (settings) => ({
+    ...settings,
+    subscriptions: [],
+    schemaVersion: 7
+  }),
+  
+  // 7 → 8: search suggestions, on by default
+  7: (settings) => ({
+    ...settings,
+    searchNudges: true,
+    schemaVersion: 8
+  }),
+  
+  // 8 → 9: watch page options, per profile
+  8: (settings) => {
+    const { watchPage } = getDefaultSettings().profiles[0];
+    return {
+      ...settings,
+      profiles: settings.profiles.map(profile => ({
+        ...profile,
+        watchPage: { ...watchPage, ...profile.watchPage }
+      })),
+      schemaVersion: 9
+    };
+  },
+  
+  // 9 → 10: optional collapsed placeholders for blocked cards
+  9: (settings) => ({
+    ...settings,
+    blockedDisplay: 'hide',
+    schemaVersion: 10
+  }),
+  
+  // 10 → 11: choice of classifier backend
+  10: (settings) => ({
+    ...settings,
+    classifierBackend: 'keywords',
+    schemaVersion: 11
+  }),
+  
+  // 11 → 12: per-profile metadata rules, none by default
+  11: (settings) => ({
+    ...settings,
+    profiles: settings.profiles.map(profile => ({ metadataRules: [], ...profile })),
+    schemaVersion: 12
+  }),
+  
+  // 12 → 13: daily educational-time goal; the streak now counts days it was met
+  12: (settings) => ({
+    ...settings,
+    dailyGoalMinutes: 30,
+    schemaVersion: 13
+  })
+};
+
+/**
+ * Get a fresh copy of the default settings
+ */
+function getDefaultSettings() {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+/**
+ * Bring stored settings up to the current schema version.
+ * Pure: returns a new object and never writes to storage.
+ */
+function migrateSettings(stored) {
+  if (!stored || typeof stored !== 'object') {
+    return getDefaultSettings();
+  }
+  
+  let settings = { ...stored };
+  let version = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 0;
+  
+  if (version > SETTINGS_SCHEMA_VERSION) {
+    // Written by a newer version of the extension; leave it alone
+    console.warn('[Focus Mode] Settings schema is newer than this version:', version);
+    return settings;
+  }
+  
+  while (version < SETTINGS_SCHEMA_VERSION) {
+    const migrate = SETTINGS_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No settings migration from schema version ${version}`);
+    }
+    settings = migrate(settings);
+    version = settings.schemaVersion;
+  }
+  
+  return settings;
+}
+
+/**
+ * Validate settings against the current schema.
+ * Returns { valid, errors: [{ field, message }] }.
+ */
+function validateSettings(settings) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  
+  if (!settings || typeof settings !== 'object') {
+    return { valid: false, errors: [{ field: null, message: 'Settings must be an object' }] };
+  }
+  
+  if (settings.schemaVersion !== SETTINGS_SCHEMA_VERSION) {
+    fail('schemaVersion', `Expected schema version ${SETTINGS_SCHEMA_VERSION}`);
+  }
+  
+  if (typeof settings.focusModeEnabled !== 'boolean') {
+    fail('focusModeEnabled', 'Must be true or false');
+  }
+  
+  if (!Array.isArray(settings.profiles) || settings.profiles.length === 0) {
+    fail('profiles', 'Must be a non-empty list of profiles');
+  } else {
+    const ids = new Set();
+    settings.profiles.forEach(profile => {
+      const label = profile && profile.name ? profile.name : 'Unnamed profile';
+      validateProfile(profile).forEach(message => fail('profiles', `${label}: ${message}`));
+      if (profile && ids.has(profile.id)) fail('profiles', `${label}: Duplicate profile ID`);
+      if (profile) ids.add(profile.id);
+    });
+    
+    if (!ids.has(settings.activeProfileId)) {
+      fail('activeProfileId', 'Must name one of the profiles');
+    }
+  }
+  
+  const [minThreshold, maxThreshold] = CLASSIFICATION_THRESHOLD_LIMITS;
+  const threshold = settings.classificationThreshold;
+  if (!(Number.isFinite(threshold) && threshold >= minThreshold && threshold <= maxThreshold)) {
+    fail('classificationThreshold', `Must be a number from ${minThreshold} to ${maxThreshold}`);
+  }
+  
+  const pomodoro = settings.pomodoro;
+  if (!pomodoro || typeof pomodoro !== 'object') {
+    fail('pomodoro', 'Must be an object');
+  } else {
+    Object.entries(POMODORO_LIMITS).forEach(([key, [min, max]]) => {
+      const value = pomodoro[key];
+      if (!(Number.isInteger(value) && value >= min && value <= max)) {
+        fail('pomodoro', `"${key}" must be a whole number from ${min} to ${max}`);
+      }
+    });
+  }
+  
+  if (typeof settings.strictSessions !== 'boolean') {
+    fail('strictSessions', 'Must be true or false');
+  }
+  
+  if (typeof settings.searchNudges !== 'boolean') {
+    fail('searchNudges', 'Must be true or false');
+  }
+  
+  if (!BLOCKED_DISPLAY_MODES.includes(settings.blockedDisplay)) {
+    fail('blockedDisplay', `Must be one of ${BLOCKED_DISPLAY_MODES.join(', ')}`);
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(CLASSIFIER_BACKENDS, settings.classifierBackend)) {
+    fail('classifierBackend', `Must be one of ${Object.keys(CLASSIFIER_BACKENDS).join(', ')}`);
+  }
+  
+  const [minGoal, maxGoal] = DAILY_GOAL_LIMITS;
+  const goal = settings.dailyGoalMinutes;
+  if (!(Number.isInteger(goal) && goal >= minGoal && goal <= maxGoal)) {
+    fail('dailyGoalMinutes', `Must be a whole number of minutes from ${minGoal} to ${maxGoal}`);
+  }
+  
+  const schedule = settings.schedule;
+  if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.rules)) {
+    fail('schedule', 'Must have a list of rules');
+  } else {
+    if (typeof schedule.enabled !== 'boolean') {
+      fail('schedule', '"enabled" must be true or false');
+    }
+    if (!Object.values(FILTER_LEVELS).includes(schedule.defaultLevel)) {
+      fail('schedule', `"defaultLevel" must be one of ${Object.values(FILTER_LEVELS).join(', ')}`);
+    }
+    schedule.rules.forEach((rule, index) => {
+      const error = validateScheduleRule(rule);
+      if (error) fail('schedule', `Rule ${index + 1}: ${error}`);
+    });
+  }
+  
+  if (!Array.isArray(settings.subscriptions)) {
+    fail('subscriptions', 'Must be a list');
+  } else {
+    const ids = new Set();
+    settings.subscriptions.forEach((subscription, index) => {
+      const error = validateSubscription(subscription);
+      if (error) fail('subscriptions', `List ${index + 1}: ${error}`);
+      else if (ids.has(subscription.id)) fail('subscriptions', `List ${index + 1}: Duplicate ID`);
+      else ids.add(subscription.id);
+    });
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fix the fields that failed validation.
+ * Invalid keywords, channel rules, schedule rules and subscriptions are
+ * dropped individually so one bad entry doesn't cost the whole list, and broken
+ * profiles are repaired one by one; an out-of-range threshold is clamped;
+ * any other broken field is reset to its default value.
+ */
+function repairSettings(settings, errors) {
+  const defaults = getDefaultSettings();
+  const repaired = { ...settings };
+  const fields = new Set(errors.map(error => error.field));
+  
+  fields.forEach(field => {
+    if (!field || !(field in defaults)) return;
+    
+    if (field === 'profiles' && Array.isArray(settings.profiles)) {
+      const seen = new Set();
+      repaired.profiles = settings.profiles
+        .map(profile => repairProfile(profile, defaults.profiles[0]))
+        .filter(profile => profile && !seen.has(profile.id) && seen.add(profile.id));
+      if (repaired.profiles.length === 0) repaired.profiles = defaults.profiles;
+    } else if (field === 'classificationThreshold' && Number.isFinite(settings.classificationThreshold)) {
+      const [min, max] = CLASSIFICATION_THRESHOLD_LIMITS;
+      repaired.classificationThreshold = Math.min(max, Math.max(min, settings.classificationThreshold));
+    } else if (field === 'activeProfileId') {
+      // Fixed below, once the profiles themselves are repaired
+    } else if (field === 'schedule' && settings.schedule && Array.isArray(settings.schedule.rules)) {
+      const { enabled, defaultLevel, rules } = settings.schedule;
+      repaired.schedule = {
+        enabled: typeof enabled === 'boolean' ? enabled : defaults.schedule.enabled,
+        defaultLevel: Object.values(FILTER_LEVELS).includes(defaultLevel) ? defaultLevel : defaults.schedule.defaultLevel,
+        rules: rules.filter(rule => !validateScheduleRule(rule))
+      };
+    } else if (field === 'subscriptions' && Array.isArray(settings.subscriptions)) {
+      const seen = new Set();
+      repaired.subscriptions = settings.subscriptions
+        .filter(subscription => !validateSubscription(subscription))
+        .filter(subscription => !seen.has(subscription.id) && seen.add(subscription.id));
+    } else {
+      repaired[field] = defaults[field];
+    }
+  });
+  
+  if (!repaired.profiles.some(profile => profile.id === repaired.activeProfileId)) {
+    repaired.activeProfileId = repaired.profiles[0].id;
+  }
+  
+  return repaired;
+}
+
+/**
+ * Migrate, validate and repair stored settings in one step.
+ * This is what every context uses to read the settings, after
+ * unpackSettings.
+ */
+function normalizeSettings(stored) {
+  const settings = migrateSettings(stored);
+  const { valid, errors } = validateSettings(settings);
+  
+  if (valid || settings.schemaVersion > SETTINGS_SCHEMA_VERSION) {
+    return settings;
+  }
+  
+  console.warn('[Focus Mode] Repairing invalid settings:', errors);
+  return repairSettings(settings, errors);
+}
+
+// chrome.storage.sync quotas in bytes: per item, and for all items together
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_QUOTA_BYTES = 102400;
+
+// Each profile is stored under its own sync key, `focusProfile:<id>`, so
+// keyword lists don't all share the one item's quota. `focusSettings` holds
+// everything else, with `profiles` listing the profile IDs in order.
+const PROFILE_KEY_PREFIX = 'focusProfile:';
+
+/**
+ * Sync key holding the profile `profileId`
+ */
+function getProfileKey(profileId) {
+  return `${PROFILE_KEY_PREFIX}${profileId}`;
+}
+
+/**
+ * Whether a sync key holds (part of) the settings
+ */
+function isSettingsStorageKey(key) {
+  return key === 'focusSettings' || key.startsWith(PROFILE_KEY_PREFIX);
+}
+
+/**
+ * Split settings into the sync items they are stored as
+ */
+function packSettings(settings) {
+  const items = {
+    focusSettings: { ...settings, profiles: settings.profiles.map(profile => profile.id) }
+  };
+  settings.profiles.forEach(profile => {
+    items[getProfileKey(profile.id)] = profile;
+  });
+  return items;
+}
+
+/**
+ * Put stored sync items back together into settings (not yet normalized).
+ * Settings saved before profiles had their own keys still hold the
+ * profiles themselves, and are returned as they are.
+ */
+function unpackSettings(items) {
+  const stored = items.focusSettings;
+  if (!stored || !Array.isArray(stored.profiles)) return stored;
+  
+  return {
+    ...stored,
+    profiles: stored.profiles
+      .map(profile => typeof profile === 'string' ? items[getProfileKey(profile)] : profile)
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Bytes an item counts against the sync quota: its key plus its JSON
+ */
+function getSyncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Why sync storage would refuse `items` (from packSettings), or an empty
+ * list if they fit
+ */
+function getSyncQuotaErrors(items) {
+  const errors = [];
+  const formatKB = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+  let total = 0;
+  
+  Object.entries(items).forEach(([key, value]) => {
+    const bytes = getSyncItemBytes(key, value);
+    total += bytes;
+    if (bytes <= SYNC_QUOTA_BYTES_PER_ITEM) return;
+    
+    const size = `${formatKB(bytes)} of ${formatKB(SYNC_QUOTA_BYTES_PER_ITEM)}`;
+    errors.push(key === 'focusSettings'
+      ? `Settings outside profiles are too large to sync (${size}); remove some subscriptions or schedule rules`
+      : `Profile "${value.name}" is too large to sync (${size}); remove some keywords, channels or rules`);
+  });
+  
+  if (total > SYNC_QUOTA_BYTES) {
+    errors.push(`Settings are too large to sync (${formatKB(total)} of ${formatKB(SYNC_QUOTA_BYTES)}); remove a profile or some keywords`);
+  }
+  return errors;
+}
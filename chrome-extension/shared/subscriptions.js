@@ -0,0 +1,133 @@
+/**
+ * YouTube Focus Mode - List Subscriptions
+ * Remote keyword and channel lists, like ad-blocker filter lists: a JSON
+ * file at a URL that the background worker fetches on a timer and caches.
+ * Subscribed lists are merged into the profile in effect, and the profile's
+ * own rules win any conflict. Depends on keyword-matcher.js and
+ * channel-rules.js.
+ */
+
+// Entries kept per list and per field, so a wrong URL can't fill storage
+const MAX_SUBSCRIPTION_ENTRIES = 2000;
+
+/**
+ * Is `url` something the background worker can fetch?
+ */
+function isSubscriptionUrl(url) {
+  try {
+    return ['https:', 'http:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check one subscription entry from settings.
+ * Returns an error message, or null if it is valid.
+ */
+function validateSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object') return 'Subscription must be an object';
+  
+  if (typeof subscription.id !== 'string' || !subscription.id) {
+    return 'Missing subscription ID';
+  }
+  if (!isSubscriptionUrl(subscription.url)) {
+    return 'URL must start with http:// or https://';
+  }
+  if (typeof subscription.enabled !== 'boolean') {
+    return '"enabled" must be true or false';
+  }
+  
+  return null;
+}
+
+/**
+ * Whether a subscribed list may add this keyword. Regular expressions from
+ * a URL are refused: one slow pattern runs against every title.
+ */
+function isSubscribableKeyword(keyword) {
+  return normalizeKeyword(keyword).mode !== 'regex';
+}
+
+/**
+ * Turn a fetched list into the shape stored in the cache:
+ * { name, allowedKeywords, blockedKeywords, channelRules }.
+ * Invalid entries and regex keywords are dropped one by one; throws only if the document is
+ * not a list at all.
+ */
+function parseSubscriptionList(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not a Focus Mode list');
+  }
+  
+  const keywords = field => (Array.isArray(data[field]) ? data[field] : [])
+    .filter(keyword => typeof keyword === 'string' || (keyword && typeof keyword === 'object'))
+    .map(normalizeKeyword)
+    .filter(keyword => isSubscribableKeyword(keyword) && !validateKeyword(keyword))
+    .slice(0, MAX_SUBSCRIPTION_ENTRIES);
+  
+  // Channels may be given as "@handle", "UC…" or a URL, or as { value, name }
+  const channels = list => {
+    const entries = data.channelRules && Array.isArray(data.channelRules[list])
+      ? data.channelRules[list]
+      : [];
+    return entries
+      .map(entry => {
+        const value = entry && typeof entry === 'object' ? entry.value : entry;
+        const ref = parseChannelRef(value);
+        if (!ref) return null;
+        return entry && typeof entry.name === 'string' ? { ...ref, name: entry.name } : ref;
+      })
+      .filter(Boolean)
+      .slice(0, MAX_SUBSCRIPTION_ENTRIES);
+  };
+  
+  return {
+    name: typeof data.name === 'string' ? data.name.trim().slice(0, 100) : '',
+    allowedKeywords: keywords('allowedKeywords'),
+    blockedKeywords: keywords('blockedKeywords'),
+    channelRules: {
+      allowed: channels('allowed'),
+      blocked: channels('blocked')
+    }
+  };
+}
+
+/**
+ * Merge subscribed lists into flattened settings.
+ * The profile's own rules win: a keyword or channel it already has on
+ * either list is never added to the other one. Between lists, the one
+ * listed first wins.
+ */
+function applySubscriptionLists(settings, lists) {
+  if (lists.length === 0) return settings;
+  
+  const allowedKeywords = [...settings.allowedKeywords];
+  const blockedKeywords = [...settings.blockedKeywords];
+  const channelRules = {
+    ...settings.channelRules,
+    allowed: [...settings.channelRules.allowed],
+    blocked: [...settings.channelRules.blocked]
+  };
+  const keywordKeys = new Set([...allowedKeywords, ...blockedKeywords].map(getKeywordKey));
+  const channelKeys = new Set([...channelRules.allowed, ...channelRules.blocked].map(getChannelRuleKey));
+  
+  const addNew = (target, entries, keyOf, keys) => {
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      if (keys.has(key)) return;
+      keys.add(key);
+      target.push(entry);
+    });
+  };
+  
+  // Lists cached before regex keywords were refused may still have some
+  lists.forEach(list => {
+    addNew(allowedKeywords, list.allowedKeywords.filter(isSubscribableKeyword), getKeywordKey, keywordKeys);
+    addNew(blockedKeywords, list.blockedKeywords.filter(isSubscribableKeyword), getKeywordKey, keywordKeys);
+    addNew(channelRules.allowed, list.channelRules.allowed, getChannelRuleKey, channelKeys);
+    addNew(channelRules.blocked, list.channelRules.blocked, getChannelRuleKey, channelKeys);
+  });
+  
+  return { ...settings, allowedKeywords, blockedKeywords, channelRules };
+}
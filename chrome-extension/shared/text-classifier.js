@@ -0,0 +1,205 @@
+/**
+ * YouTube Focus Mode - Text Classifier
+ * The backends behind the content script's classifyContent(): the keyword
+ * lists, and an on-device naive Bayes model trained from the user's own
+ * "educational / not educational" feedback. The model is plain JSON (token
+ * counts per label) kept in chrome.storage.local; nothing leaves the
+ * device. Loaded by the content script (classifying), the background
+ * worker (training), the popup and dashboard (validation), and the
+ * evaluation script in eval/.
+ */
+
+const MODEL_FORMAT_VERSION = 1;
+
+// Labels the model learns, named like classification labels
+const MODEL_LABELS = ['educational', 'blocked'];
+
+// Feedback needed for each label before the model decides anything;
+// until then the keyword lists do
+const MIN_MODEL_EXAMPLES = 5;
+
+// Log-odds the model needs either way to call text educational or blocked
+// (1 is about 73% sure); anything closer is neutral
+const MODEL_DECISION_MARGIN = 1;
+
+// Tokens reported as the model's matches, strongest first
+const MAX_MODEL_MATCHES = 5;
+
+/**
+ * Classifier backends. Each gets the text and { settings, model } and
+ * returns { label, score, threshold, matches }. A backend that isn't ready
+ * (an untrained model) hands over to the keyword lists.
+ */
+const CLASSIFIER_BACKENDS = {
+  keywords: {
+    name: 'Keyword lists',
+    isReady: () => true,
+    classify: (text, { settings }) => classifyWithKeywords(text, settings)
+  },
+  model: {
+    name: 'On-device model',
+    isReady: ({ model }) => isModelReady(model),
+    classify: (text, { model }) => classifyWithModel(text, model)
+  }
+};
+
+/**
+ * Classify text with the backend chosen in settings. The result names the
+ * backend that actually decided.
+ */
+function classifyText(text, context) {
+  const chosen = CLASSIFIER_BACKENDS[context.settings.classifierBackend];
+  const backend = chosen && chosen.isReady(context) ? context.settings.classifierBackend : 'keywords';
+  
+  return { ...CLASSIFIER_BACKENDS[backend].classify(text, context), backend };
+}
+
+/**
+ * Label for a score: blocked at or below -threshold, educational at or
+ * above it, neutral in between
+ */
+function getScoreLabel(score, threshold) {
+  if (score <= -threshold) return 'blocked';
+  if (score >= threshold) return 'educational';
+  return 'neutral';
+}
+
+/**
+ * Keyword backend. Allowed hits add their weight to the score and blocked
+ * hits subtract theirs; the label is decided by comparing the total against
+ * the configured threshold. The result keeps every hit so callers can
+ * explain the decision.
+ */
+function classifyWithKeywords(text, settings) {
+  const threshold = settings.classificationThreshold;
+  
+  const matches = [
+    ...findKeywordHits(text, settings.allowedKeywords, 'allowed'),
+    ...findKeywordHits(text, settings.blockedKeywords, 'blocked')
+  ];
+  
+  const score = matches.reduce((total, hit) => {
+    return hit.list === 'allowed' ? total + hit.weight : total - hit.weight;
+  }, 0);
+  
+  return { label: getScoreLabel(score, threshold), score, threshold, matches };
+}
+
+/**
+ * Distinct lowercase words of `text`, ignoring single characters.
+ * Titles are short, so a word counts once however often it repeats.
+ */
+function tokenizeText(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(word => word.length > 1))];
+}
+
+/**
+ * A model that has learned nothing yet
+ */
+function createEmptyModel() {
+  const labels = {};
+  MODEL_LABELS.forEach(label => {
+    labels[label] = { examples: 0, tokens: 0, counts: {} };
+  });
+  return { formatVersion: MODEL_FORMAT_VERSION, labels };
+}
+
+/**
+ * Whether `model` is a model this version can read
+ */
+function isValidModel(model) {
+  return Boolean(model) &&
+    model.formatVersion === MODEL_FORMAT_VERSION &&
+    MODEL_LABELS.every(label => model.labels && model.labels[label] && model.labels[label].counts);
+}
+
+/**
+ * Learn one example. Pure: returns a new model.
+ */
+function trainModel(model, text, label) {
+  const next = isValidModel(model) ? JSON.parse(JSON.stringify(model)) : createEmptyModel();
+  const tokens = tokenizeText(text);
+  if (tokens.length === 0 || !MODEL_LABELS.includes(label)) return next;
+  
+  const stats = next.labels[label];
+  stats.examples += 1;
+  stats.tokens += tokens.length;
+  tokens.forEach(token => {
+    stats.counts[token] = (stats.counts[token] || 0) + 1;
+  });
+  
+  return next;
+}
+
+/**
+ * Whether the model has enough feedback of each label to decide
+ */
+function isModelReady(model) {
+  return isValidModel(model) &&
+    MODEL_LABELS.every(label => model.labels[label].examples >= MIN_MODEL_EXAMPLES);
+}
+
+/**
+ * Feedback the model has learned, per label, for display
+ */
+function getModelSummary(model) {
+  const valid = isValidModel(model);
+  const summary = { ready: isModelReady(model), minExamples: MIN_MODEL_EXAMPLES };
+  MODEL_LABELS.forEach(label => {
+    summary[label] = valid ? model.labels[label].examples : 0;
+  });
+  return summary;
+}
+
+/**
+ * Naive Bayes log-odds of educational over blocked for `text`, with
+ * add-one smoothing. Words the model has never seen are skipped. Returns
+ * { logOdds, contributions: [{ token, value }] }.
+ */
+function scoreWithModel(model, text) {
+  const { educational, blocked } = model.labels;
+  const vocabulary = new Set([...Object.keys(educational.counts), ...Object.keys(blocked.counts)]);
+  
+  let logOdds = Math.log((educational.examples + 1) / (blocked.examples + 1));
+  const contributions = [];
+  
+  tokenizeText(text)
+    .filter(token => vocabulary.has(token))
+    .forEach(token => {
+      const likely = stats => ((stats.counts[token] || 0) + 1) / (stats.tokens + vocabulary.size);
+      const value = Math.log(likely(educational) / likely(blocked));
+      logOdds += value;
+      contributions.push({ token, value });
+    });
+  
+  return { logOdds, contributions };
+}
+
+/**
+ * Model backend. The score is the log-odds, rounded; the matches are the
+ * words that pulled hardest, as allowed or blocked hits, so results read
+ * like keyword results everywhere they are shown or logged.
+ */
+function classifyWithModel(text, model) {
+  const { logOdds, contributions } = scoreWithModel(model, text);
+  const score = Math.round(logOdds * 100) / 100;
+  
+  const matches = contributions
+    .filter(({ value }) => Math.abs(value) >= 0.5)
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, MAX_MODEL_MATCHES)
+    .map(({ token, value }) => ({
+      term: token,
+      mode: 'model',
+      weight: Math.round(Math.abs(value) * 100) / 100,
+      list: value > 0 ? 'allowed' : 'blocked'
+    }));
+  
+  return {
+    label: getScoreLabel(score, MODEL_DECISION_MARGIN),
+    score,
+    threshold: MODEL_DECISION_MARGIN,
+    matches
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * YouTube Focus Mode - Activity Log Tests
+ * Streaks derived from the activity log, as the background worker reports
+ * them.
+ * Run with `node --test test/` from the chrome-extension folder.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './background-context.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A background worker with the daily goal set to `goalMinutes`
+ */
+async function loadWithGoal(goalMinutes) {
+  const background = loadBackground();
+  await background.context.writeSettings({
+    ...background.context.getDefaultSettings(),
+    dailyGoalMinutes: goalMinutes
+  });
+  return background;
+}
+
+/**
+ * Record `minutes` of educational watching `daysAgo` days back
+ */
+function watch(context, minutes, daysAgo = 0) {
+  return context.recordEvents([{
+    type: 'video_watched',
+    timestamp: Date.now() - daysAgo * DAY_MS,
+    videoId: `video${daysAgo}`,
+    label: 'educational',
+    seconds: minutes * 60
+  }]);
+}
+
+describe('focus streak', () => {
+  it('keeps days met under a lower goal after the goal is raised', async () => {
+    const { context } = await loadWithGoal(30);
+    await watch(context, 30, 2);
+    await watch(context, 30, 1);
+    
+    await context.updateSettings({ dailyGoalMinutes: 60 }, 'popup');
+    await watch(context, 45);
+    assert.equal((await context.getStats()).focusStreak, 2);
+    
+    await watch(context, 15);
+    assert.equal((await context.getStats()).focusStreak, 3);
+  });
+  
+  it("doesn't count a missed day after the goal is lowered", async () => {
+    const { context } = await loadWithGoal(60);
+    await watch(context, 60, 2);
+    await watch(context, 40, 1);
+    
+    await context.updateSettings({ dailyGoalMinutes: 30 }, 'popup');
+    await watch(context, 30);
+    assert.equal((await context.getStats()).focusStreak, 1);
+  });
+  
+  it('keeps each day\'s goal once old days are rolled up', async () => {
+    const { context } = await loadWithGoal(30);
+    for (let daysAgo = 9; daysAgo >= 1; daysAgo--) {
+      await watch(context, 30, daysAgo);
+    }
+    await context.pruneActivity();
+    
+    await context.updateSettings({ dailyGoalMinutes: 60 }, 'popup');
+    assert.equal((await context.getStats()).focusStreak, 9);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * YouTube Focus Mode - Background Worker Test Context
+ * Loads the background service worker into a fresh vm context, the way
+ * Chrome would with importScripts, behind a stand-in for the chrome.*
+ * APIs: storage is kept in memory, runtime messages reach the worker's
+ * listener, and every other call does nothing and resolves (or calls its
+ * callback) with nothing useful.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const EXTENSION_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * chrome.storage area keeping its items in memory.
+ * Values are copied in and out, like the real storage.
+ */
+function createStorageArea() {
+  const items = {};
+  const copy = value => JSON.parse(JSON.stringify(value));
+  
+  return {
+    items,
+    get: async (keys) => {
+      if (keys === null || keys === undefined) return copy(items);
+      const result = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        if (key in items) result[key] = copy(items[key]);
+      });
+      return result;
+    },
+    set: async (values) => {
+      Object.assign(items, copy(values));
+    },
+    remove: async (keys) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete items[key]);
+    }
+  };
+}
+
+/**
+ * Any chrome.* API not stood in for: listeners are never called, every
+ * other property is another stub and every call resolves, passing an empty
+ * list to a trailing callback
+ */
+function createApiStub() {
+  const ignore = () => {};
+  const stub = new Proxy(function () {}, {
+    get: (target, property) => {
+      if (property === 'then') return undefined;
+      return property === 'addListener' ? ignore : stub;
+    },
+    apply: (target, thisArg, args) => {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') callback([]);
+      return Promise.resolve(undefined);
+    }
+  });
+  return stub;
+}
+
+/**
+ * A background worker in its own context.
+ * `fetchDelayLimitMs` caps setTimeout delays, so request timeouts can be
+ * reached without waiting for the real one.
+ * Returns { context, local, sync, sendMessage }; `context` holds the
+ * worker's globals, and `sendMessage` resolves to the worker's response.
+ */
+export function loadBackground({ fetchDelayLimitMs = Infinity } = {}) {
+  const local = createStorageArea();
+  const sync = createStorageArea();
+  const api = createApiStub();
+  const messageListeners = [];
+  const runtime = new Proxy({ onMessage: { addListener: listener => messageListeners.push(listener) } }, {
+    get: (target, property) => target[property] || api[property]
+  });
+  
+  const context = vm.createContext({
+    console: { ...console, log: () => {}, warn: () => {}, error: () => {} },
+    fetch,
+    AbortController,
+    TextEncoder,
+    URL,
+    setTimeout: (callback, delay, ...args) => setTimeout(callback, Math.min(delay, fetchDelayLimitMs), ...args),
+    clearTimeout,
+    chrome: new Proxy({ storage: { local, sync, onChanged: api }, runtime }, {
+      get: (target, property) => target[property] || api[property]
+    })
+  });
+  
+  context.importScripts = (...paths) => {
+    paths.forEach(path => {
+      const file = join(EXTENSION_ROOT, path);
+      vm.runInContext(readFileSync(file, 'utf8'), context, { filename: file });
+    });
+  };
+  context.importScripts('/background/background.js');
+  
+  const sendMessage = message => new Promise(resolve => {
+    messageListeners.forEach(listener => listener(message, {}, resolve));
+  });
+  
+  return { context, local, sync, sendMessage };
+}
+
+/**
+ * A background worker with strict sessions on and a focus phase running.
+ * `settings` is laid over the defaults.
+ */
+export async function loadStrictBackground(settings = {}, options = { fetchDelayLimitMs: 100 }) {
+  const background = loadBackground(options);
+  await background.context.writeSettings({
+    ...background.context.getDefaultSettings(),
+    strictSessions: true,
+    ...settings
+  });
+  await background.local.set({
+    pomodoroState: { phase: 'work', status: 'running', startedAt: Date.now(), endsAt: Date.now() + 60000 }
+  });
+  return background;
+}
+
+/**
+ * Refusals a strict session logged to the activity log
+ */
+export async function getStrictRefusals(context) {
+  const { events } = await context.getRecentActivity();
+  return events.filter(event => event.type === 'strict_refused');
+}
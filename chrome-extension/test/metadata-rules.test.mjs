@@ -0,0 +1,46 @@
+/**
+ * YouTube Focus Mode - Metadata Rule Tests
+ * How a matched rule combines with a title's keyword classification.
+ * Run with `node --test test/` from the chrome-extension folder.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './background-context.mjs';
+
+const LIVE = { isLive: true, isUpcoming: false, durationSeconds: null, views: null, category: null };
+
+/**
+ * Classify a title the way a card is: keywords first, then the matching
+ * rule, if any
+ */
+function classify(title, rules, metadata = LIVE) {
+  const { context } = loadBackground();
+  const settings = context.getProfileSettings(context.getDefaultSettings());
+  const classification = context.classifyText(title, { settings });
+  const match = context.findMetadataRule(rules, metadata, false);
+  return match ? context.applyMetadataRule(classification, match) : classification;
+}
+
+describe('applyMetadataRule', () => {
+  it('blocks a video a hide rule matches despite allowed keywords', () => {
+    const rule = { action: 'block', field: 'live' };
+    const classification = classify('Python course', [rule]);
+    
+    assert.equal(classification.label, 'blocked');
+    assert.deepEqual({ ...classification.metadataRule }, rule);
+    assert.deepEqual([...classification.matches].map(hit => hit.list), ['allowed', 'allowed']);
+  });
+  
+  it('weighs an allow rule in without outweighing blocked keywords', () => {
+    const rule = { action: 'allow', field: 'live' };
+    
+    assert.equal(classify('Weekly update', [rule]).label, 'educational');
+    assert.equal(classify('Funny prank reaction', [rule]).label, 'blocked');
+  });
+  
+  it('lets an allow rule win over a hide rule', () => {
+    const rules = [{ action: 'block', field: 'live' }, { action: 'allow', field: 'live' }];
+    assert.equal(classify('Python course', rules).label, 'educational');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * YouTube Focus Mode - Strict Session Tests
+ * What a running strict session refuses, and what it lets through.
+ * Run with `node --test test/` from the chrome-extension folder.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getStrictRefusals, loadBackground, loadStrictBackground } from './background-context.mjs';
+
+describe('blocked cards during a strict session', () => {
+  it('refuses revealing a blocked card', async () => {
+    const { context, sendMessage } = await loadStrictBackground();
+    
+    const response = await sendMessage({ type: 'REVEAL_BLOCKED_CARD', title: 'Speedrun highlights' });
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], ['Reveal the blocked video "Speedrun highlights"']);
+    assert.equal((await getStrictRefusals(context)).length, 1);
+  });
+  
+  it('reveals blocked cards outside a strict session', async () => {
+    const { sendMessage } = loadBackground();
+    
+    const response = await sendMessage({ type: 'REVEAL_BLOCKED_CARD', title: 'Speedrun highlights' });
+    assert.equal(response.success, true);
+  });
+  
+  it('refuses collapsing blocked cards that were hidden', async () => {
+    const { context } = await loadStrictBackground({ blockedDisplay: 'hide' });
+    
+    const response = await context.updateSettings({ blockedDisplay: 'collapse' }, 'popup');
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], ['Collapse blocked videos instead of hiding them']);
+  });
+  
+  it('lets collapsed cards be hidden', async () => {
+    const { context } = await loadStrictBackground({ blockedDisplay: 'collapse' });
+    
+    const response = await context.updateSettings({ blockedDisplay: 'hide' }, 'popup');
+    assert.equal(response.success, true);
+  });
+});
+
+describe('watch page overrides during a strict session', () => {
+  it('refuses allowing a blocked video once', async () => {
+    const { context, sendMessage } = await loadStrictBackground();
+    
+    const response = await sendMessage({
+      type: 'BLOCKED_CONTENT_OVERRIDDEN',
+      data: { videoId: 'abc', title: 'Speedrun highlights', kind: 'once', reason: 'Research' }
+    });
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], ['Allow "Speedrun highlights" once']);
+    assert.equal((await getStrictRefusals(context)).length, 1);
+  });
+  
+  it('allows a blocked video once outside a strict session', async () => {
+    const { sendMessage } = loadBackground();
+    
+    const response = await sendMessage({
+      type: 'BLOCKED_CONTENT_OVERRIDDEN',
+      data: { videoId: 'abc', title: 'Speedrun highlights', kind: 'once', reason: 'Research' }
+    });
+    assert.equal(response.success, true);
+  });
+  
+  it('sets aside a timed bypass started before the session', async () => {
+    const { context, local, sendMessage } = await loadStrictBackground();
+    await local.set({ watchBypassUntil: Date.now() + 60000 });
+    assert.equal((await sendMessage({ type: 'GET_WATCH_BYPASS' })).active, false);
+    
+    await context.writeSettings({ ...context.getDefaultSettings(), strictSessions: false });
+    assert.equal((await sendMessage({ type: 'GET_WATCH_BYPASS' })).active, true);
+  });
+});
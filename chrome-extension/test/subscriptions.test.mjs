@@ -0,0 +1,169 @@
+/**
+ * YouTube Focus Mode - Subscribed List Tests
+ * Fetching, revalidating and strict-session checks of subscribed lists,
+ * against a local HTTP server standing in for the list's site.
+ * Run with `node --test test/` from the chrome-extension folder.
+ */
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { getStrictRefusals, loadBackground, loadStrictBackground } from './background-context.mjs';
+
+// Path → { status, body, etag, hang }; requests are recorded in `requests`
+const routes = {};
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((request, response) => {
+    requests.push({ url: request.url, headers: request.headers });
+    const route = routes[request.url];
+    if (!route) {
+      response.writeHead(404).end();
+      return;
+    }
+    // Never answers: the fetch has to time out
+    if (route.hang) return;
+    
+    if (route.etag && request.headers['if-none-match'] === route.etag) {
+      response.writeHead(304, { ETag: route.etag }).end();
+      return;
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (route.etag) headers.ETag = route.etag;
+    response.writeHead(route.status || 200, headers).end(route.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  Object.keys(routes).forEach(path => delete routes[path]);
+  requests.length = 0;
+});
+
+/**
+ * A subscription entry for `path` on the test server
+ */
+function subscription(id, path, enabled = true) {
+  return { id, url: `${baseUrl}${path}`, enabled };
+}
+
+describe('fetchSubscription', () => {
+  it('revalidates with the cached ETag and keeps the list on a 304', async () => {
+    const { context } = loadBackground();
+    routes['/list.json'] = { etag: '"v1"', body: JSON.stringify({ name: 'Study', blockedKeywords: ['speedrun'] }) };
+    const entry = subscription('study', '/list.json');
+    
+    const first = await context.fetchSubscription(entry, null);
+    assert.equal(first.error, null);
+    assert.equal(first.etag, '"v1"');
+    assert.deepEqual(first.list.blockedKeywords.map(keyword => keyword.term), ['speedrun']);
+    
+    const second = await context.fetchSubscription(entry, first);
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    assert.equal(second.error, null);
+    assert.equal(second.fetchedAt, first.fetchedAt);
+    assert.deepEqual(second.list, first.list);
+  });
+  
+  it('replaces the list when the ETag changes', async () => {
+    const { context } = loadBackground();
+    routes['/list.json'] = { etag: '"v1"', body: JSON.stringify({ blockedKeywords: ['speedrun'] }) };
+    const entry = subscription('study', '/list.json');
+    const first = await context.fetchSubscription(entry, null);
+    
+    routes['/list.json'] = { etag: '"v2"', body: JSON.stringify({ blockedKeywords: ['speedrun', 'prank'] }) };
+    const second = await context.fetchSubscription(entry, first);
+    assert.equal(second.etag, '"v2"');
+    assert.deepEqual(second.list.blockedKeywords.map(keyword => keyword.term), ['speedrun', 'prank']);
+  });
+  
+  it('gives up on a list that never answers and keeps the last good copy', async () => {
+    const { context } = loadBackground({ fetchDelayLimitMs: 100 });
+    routes['/list.json'] = { etag: '"v1"', body: JSON.stringify({ blockedKeywords: ['speedrun'] }) };
+    const entry = subscription('study', '/list.json');
+    const first = await context.fetchSubscription(entry, null);
+    
+    routes['/list.json'] = { hang: true };
+    const second = await context.fetchSubscription(entry, first);
+    assert.equal(second.error, 'Timed out');
+    assert.deepEqual(second.list, first.list);
+  });
+  
+  it('reports a malformed list and keeps the last good copy', async () => {
+    const { context } = loadBackground();
+    routes['/list.json'] = { etag: '"v1"', body: JSON.stringify({ blockedKeywords: ['speedrun'] }) };
+    const entry = subscription('study', '/list.json');
+    const first = await context.fetchSubscription(entry, null);
+    
+    routes['/list.json'] = { etag: '"v2"', body: '{ "blockedKeywords": [' };
+    const truncated = await context.fetchSubscription(entry, first);
+    assert.match(truncated.error, /JSON/);
+    assert.deepEqual(truncated.list, first.list);
+    
+    routes['/list.json'] = { etag: '"v3"', body: '["speedrun"]' };
+    const notAList = await context.fetchSubscription(entry, first);
+    assert.equal(notAList.error, 'Not a Focus Mode list');
+    assert.deepEqual(notAList.list, first.list);
+  });
+  
+  it('reports HTTP errors without a list to fall back on', async () => {
+    const { context } = loadBackground();
+    routes['/list.json'] = { status: 500, body: 'oops' };
+    
+    const entry = await context.fetchSubscription(subscription('study', '/list.json'), null);
+    assert.equal(entry.error, 'HTTP 500');
+    assert.equal(entry.list, null);
+  });
+});
+
+describe('updateSettings during a strict session', () => {
+  it('refuses subscribing to a list that allows keywords', async () => {
+    const { context } = await loadStrictBackground();
+    routes['/allow.json'] = { body: JSON.stringify({ allowedKeywords: ['minecraft'] }) };
+    
+    const response = await context.updateSettings({ subscriptions: [subscription('allow', '/allow.json')] }, 'dashboard');
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], ['Add allowed keyword "minecraft"']);
+    assert.equal((await getStrictRefusals(context)).length, 1);
+  });
+  
+  it('lets a list that only blocks through', async () => {
+    const { context } = await loadStrictBackground();
+    routes['/block.json'] = { body: JSON.stringify({ blockedKeywords: ['speedrun'] }) };
+    
+    const response = await context.updateSettings({ subscriptions: [subscription('block', '/block.json')] }, 'dashboard');
+    assert.equal(response.success, true);
+  });
+  
+  it('checks a list turned back on against what it serves now', async () => {
+    const { context, local } = await loadStrictBackground({ subscriptions: [subscription('list', '/list.json', false)] });
+    // Cached while it only blocked; the list has changed since
+    routes['/list.json'] = { etag: '"v1"', body: JSON.stringify({ blockedKeywords: ['speedrun'] }) };
+    const cached = await context.fetchSubscription(subscription('list', '/list.json'), null);
+    await local.set({ subscriptionCache: { list: cached } });
+    routes['/list.json'] = { etag: '"v2"', body: JSON.stringify({ allowedKeywords: ['minecraft'] }) };
+    
+    const response = await context.updateSettings({ subscriptions: [subscription('list', '/list.json')] }, 'popup');
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], ['Add allowed keyword "minecraft"']);
+  });
+  
+  it('refuses a list that can not be fetched', async () => {
+    const { context } = await loadStrictBackground();
+    routes['/slow.json'] = { hang: true };
+    
+    const entry = subscription('slow', '/slow.json');
+    const response = await context.updateSettings({ subscriptions: [entry] }, 'dashboard');
+    assert.equal(response.success, false);
+    assert.deepEqual([...response.refused], [`Subscribe to the list ${entry.url}, which couldn't be checked`]);
+  });
+});